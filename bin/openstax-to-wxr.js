@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { readFileSync, existsSync, statSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import {
+    scrapeOpenStax,
+    emptyPagesError,
+    MATH_OUTPUTS,
+    validateCalloutMappings,
+    resolveCalloutMappings,
+    DEFAULT_ATTRIBUTION_TEMPLATE,
+    WXR_POST_STATUSES,
+    closeBrowser
+} from '../converter.js';
+import { EXPORTERS, mathOutputFor, writeConversion } from '../exporters.js';
+import { openSource } from '../sources.js';
+import { validateWxr, validationError } from '../validation.js';
+
+const USAGE = `Usage: openstax-to-wxr <book|list-file> --out <dir> [options]
+       openstax-to-wxr --validate <pressbooks.xml>
+
+Converts one OpenStax book, or every book in a list file (one per line, # for comments),
+into <dir>/<book>/: pressbooks.xml (with images/ and manifest.json), <book>.epub, <book>.imscc or an HTML
+site, and report.json. A book is the URL of one of its pages (openstax.org or another REX host), or a
+folder or .zip holding a CNXML book (collection.xml and modules) or saved REX pages.
+
+Options:
+  --out <dir>              Output folder (required)
+  --format <format>        Output format: wxr, epub, imscc or html (default: wxr)
+  --images                 Download figure images into images/ and point the WXR at them
+  --media-base-url <url>   Where the images will be hosted (default: images/)
+  --attribution <file>     Attribution template (HTML) appended to every page
+  --math <output>          Math output: latex, mathml or svg (default: latex; EPUBs use mathml instead of latex)
+  --callouts <file>        Callout mappings JSON, merged over the defaults
+  --selection <file>       Parts and chapters to convert (JSON, as for POST /jobs)
+  --previous <path>        Previous export to re-sync against: a pressbooks.xml, or an earlier --out folder
+                           (uses <path>/<book>/pressbooks-full.xml or pressbooks.xml where it exists).
+                           With a list file it has to be a folder
+  --post-status <status>   Status of front matter, chapters and back matter: web-only, publish, private
+                           or draft (default: web-only)
+  --post-date <date>       Post date written to the WXR, e.g. 2025-06-30 (default: now)
+  --fail-on-empty          Treat pages that come back empty as a failure
+  --validate <file>        Only check a WXR file for problems that would break or change its import
+  -h, --help               Show this help`;
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf-8'));
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+const isBook = (value) => isUrl(value) || /\.zip$/i.test(value) || (existsSync(value) && statSync(value).isDirectory());
+
+// A list file holds one book per line, with folders and .zip files relative to the list file;
+// anything that isn't a book is read as a list file
+const bookInputs = (input) => {
+    if (isBook(input)) return [input];
+    return readFileSync(input, 'utf-8')
+        .split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(line => (isUrl(line) ? line : resolve(dirname(input), line)));
+};
+
+// The previous export of a book, from a single WXR file or a folder laid out like --out. A re-sync leaves
+// only the changed posts in pressbooks.xml, so the whole book in pressbooks-full.xml comes first.
+const previousExport = (previous, slug) => {
+    if (!previous) return null;
+    if (!statSync(previous).isDirectory()) return readFileSync(previous, 'utf-8');
+    const file = ['pressbooks-full.xml', 'pressbooks.xml'].map(name => join(previous, slug, name)).find(path => existsSync(path));
+    return file ? readFileSync(file, 'utf-8') : null;
+};
+
+const describeProblem = ({ post, message }) => (post ? `${post}: ${message}` : message);
+
+function validateFile(file) {
+    const validation = validateWxr(readFileSync(file, 'utf-8'));
+    validation.errors.forEach(problem => console.error(`error: ${describeProblem(problem)}`));
+    validation.warnings.forEach(problem => console.error(`warning: ${describeProblem(problem)}`));
+    console.error(`${file}: ${validation.items} item(s), ${validation.errors.length} error(s), ${validation.warnings.length} warning(s)`);
+    return validation.valid ? 0 : 1;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string' },
+            format: { type: 'string', default: 'wxr' },
+            images: { type: 'boolean', default: false },
+            'media-base-url': { type: 'string', default: 'images/' },
+            attribution: { type: 'string' },
+            math: { type: 'string', default: 'latex' },
+            callouts: { type: 'string' },
+            selection: { type: 'string' },
+            previous: { type: 'string' },
+            'post-status': { type: 'string', default: 'web-only' },
+            'post-date': { type: 'string' },
+            'fail-on-empty': { type: 'boolean', default: false },
+            validate: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (values.validate) {
+        return validateFile(values.validate);
+    }
+    if (positionals.length !== 1 || !values.out) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (!Object.hasOwn(EXPORTERS, values.format)) {
+        console.error(`--format must be one of: ${Object.keys(EXPORTERS).join(', ')}`);
+        return 2;
+    }
+    const exporter = EXPORTERS[values.format];
+    if (!MATH_OUTPUTS.includes(values.math)) {
+        console.error(`--math must be one of: ${MATH_OUTPUTS.join(', ')}`);
+        return 2;
+    }
+    if (!WXR_POST_STATUSES.includes(values['post-status'])) {
+        console.error(`--post-status must be one of: ${WXR_POST_STATUSES.join(', ')}`);
+        return 2;
+    }
+    if (values['post-date'] && Number.isNaN(Date.parse(values['post-date']))) {
+        console.error('--post-date must be a date, e.g. 2025-06-30 or 2025-06-30T09:00:00Z');
+        return 2;
+    }
+    const exportOptions = { postStatus: values['post-status'], postDate: values['post-date'] };
+    const callouts = values.callouts ? readJson(values.callouts) : undefined;
+    const calloutProblems = callouts ? validateCalloutMappings(callouts) : [];
+    if (calloutProblems.length) {
+        console.error(`Invalid callout mappings in ${values.callouts}:\n  ${calloutProblems.join('\n  ')}`);
+        return 2;
+    }
+    const options = {
+        bundleImages: values.images || exporter.localImages,
+        mediaBaseUrl: values.format === 'wxr' ? values['media-base-url'] : 'images/',
+        attributionTemplate: values.attribution ? readFileSync(values.attribution, 'utf-8') : DEFAULT_ATTRIBUTION_TEMPLATE,
+        mathOutput: mathOutputFor(values.format, values.math),
+        calloutMappings: resolveCalloutMappings(callouts),
+        selection: values.selection ? readJson(values.selection) : null
+    };
+
+    const inputs = bookInputs(positionals[0]);
+    if (values.previous && inputs.length > 1 && !statSync(values.previous).isDirectory()) {
+        console.error('--previous must be an earlier --out folder when converting a list of books');
+        return 2;
+    }
+    const failures = [];
+    // Books run one after another so a catalogue rebuild never has more than one conversion in flight
+    for (const [index, input] of inputs.entries()) {
+        console.error(`[${index + 1}/${inputs.length}] ${input}`);
+        try {
+            const source = await openSource(input);
+            const slug = source.slug || 'book';
+            const outDir = resolve(join(values.out, slug));
+            let lastStage = null;
+            const conversion = await scrapeOpenStax(source, {
+                ...options,
+                previousWxr: previousExport(values.previous, slug),
+                onProgress: ({ stage, pagesTotal }) => {
+                    if (stage === lastStage) return;
+                    lastStage = stage;
+                    console.error(stage === 'pages' ? `  converting ${pagesTotal} pages` : `  ${stage}`);
+                }
+            });
+            await writeConversion(outDir, conversion, values.format, exportOptions);
+            const { pages } = conversion.report;
+            console.error(`  wrote ${outDir} (${pages.converted} converted, ${pages.failed} failed, ${pages.empty} empty)`);
+            const { resync } = conversion.report;
+            if (resync) {
+                console.error(`  re-sync: ${resync.added} added, ${resync.changed} changed, ${resync.removed} removed, ${resync.unchanged} unchanged`);
+            }
+            const { validation } = conversion.report;
+            if (validation) {
+                console.error(`  validation: ${validation.errors.length} error(s), ${validation.warnings.length} warning(s)`);
+            }
+            if (validation && !validation.valid) {
+                failures.push({ input, error: validationError(validation) });
+            } else if (pages.failed) {
+                failures.push({ input, error: `${pages.failed} page(s) failed to convert` });
+            } else if (values['fail-on-empty'] && pages.empty) {
+                failures.push({ input, error: emptyPagesError(conversion.report) });
+            }
+        } catch (error) {
+            console.error(`  failed: ${error.message}`);
+            failures.push({ input, error: error.message });
+        }
+    }
+
+    if (failures.length) {
+        console.error(`\n${failures.length} of ${inputs.length} book(s) failed:`);
+        failures.forEach(({ input, error }) => console.error(`  ${input}: ${error}`));
+        return 1;
+    }
+    return 0;
+}
+
+main()
+    .catch((error) => {
+        console.error(error.message);
+        return 1;
+    })
+    .then(async (code) => {
+        await closeBrowser();
+        process.exit(code);
+    });
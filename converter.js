@@ -0,0 +1,2018 @@
+import { JSDOM } from 'jsdom';
+import { create } from 'xmlbuilder2';
+import { readFileSync } from 'fs';
+import { resolve, join } from 'path';
+import fs from 'fs';
+import pLimit from 'p-limit';
+import he from 'he';
+import css from 'css';
+import { MathMLToLaTeX } from 'mathml-to-latex';
+import { mathjax } from 'mathjax-full/js/mathjax.js';
+import { MathML } from 'mathjax-full/js/input/mathml.js';
+import { SVG } from 'mathjax-full/js/output/svg.js';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
+import SRE from 'speech-rule-engine';
+import puppeteer from 'puppeteer';
+import { randomUUID, createHash } from 'crypto';
+
+const cssText = readFileSync(new URL('./default.css', import.meta.url), 'utf-8');
+const usedClasses = new Set();
+// Pressbooks classes the conversion adds itself (textboxes, figure captions); the class cleanup keeps them
+// even where default.css doesn't style them, and doesn't report them as removed
+const CONVERTER_CLASSES = /^(?:textbox(?:--[\w-]+|__[\w-]+)?|wp-caption(?:-text)?|aligncenter)$/;
+const usedIds = new Set();
+
+// Parse CSS selectors
+const ast = css.parse(cssText);
+for (const rule of ast.stylesheet.rules) {
+    if (rule.type === 'rule') {
+        for (const selector of rule.selectors) {
+            const matches = selector.match(/([.#])([\w-]+)/g);
+            if (matches) {
+                matches.forEach((m) => {
+                    if (m.startsWith('.')) usedClasses.add(m.slice(1));
+                    if (m.startsWith('#')) usedIds.add(m.slice(1));
+                });
+            }
+        }
+    }
+}
+
+// (global subsection limiter): limits how many chapter/subsection fetch+parse tasks run at once across all scrapes
+const fetchLimit = pLimit(3);
+
+// ensures only 1 Puppeteer TOC run happens at a time
+const tocLimit = pLimit(1);
+
+// limits how many figure image downloads run at once across all scrapes
+const imageLimit = pLimit(4);
+
+// Retries for failed openstax.org requests: network errors, timeouts, 429 and 5xx responses are retried with
+// exponential backoff (FETCH_BACKOFF_MS, doubled per attempt) unless the server sends Retry-After
+const FETCH_RETRIES = Number(process.env.FETCH_RETRIES ?? 3);
+const FETCH_BACKOFF_MS = Number(process.env.FETCH_BACKOFF_MS ?? 1000);
+const FETCH_MAX_BACKOFF_MS = 60000;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// On-disk cache of TOC and page HTML. With OFFLINE=true nothing is fetched and only cached content is used,
+// so CACHE_DIR can point at a folder of fixtures.
+const CACHE_DIR = resolve(process.env.CACHE_DIR || '.cache/openstax');
+const CACHE_TTL_MS = Number(process.env.CACHE_TTL_HOURS ?? 168) * 60 * 60 * 1000;
+const OFFLINE = process.env.OFFLINE === 'true';
+
+// Chrome's sandbox needs user namespaces, which many containers don't allow. CHROME_NO_SANDBOX=true turns it
+// off there; everywhere else the browser runs sandboxed.
+const CHROME_NO_SANDBOX = process.env.CHROME_NO_SANDBOX === 'true';
+// The headless browser is restarted after this many table of contents reads, or once it and its
+// child processes use more memory than this
+const BROWSER_MAX_USES = Number(process.env.BROWSER_MAX_USES ?? 25);
+const BROWSER_MAX_RSS_MB = Number(process.env.BROWSER_MAX_RSS_MB ?? 1024);
+
+let browserPromise = null;
+let browserUses = 0;
+
+// Resident memory in MB of a process and its children, from /proc; null where there is no /proc
+async function processTreeMemoryMb(pid) {
+  try {
+    const [, residentPages] = (await fs.promises.readFile(`/proc/${pid}/statm`, 'utf-8')).split(' ');
+    const children = (await fs.promises.readFile(`/proc/${pid}/task/${pid}/children`, 'utf-8').catch(() => ''))
+      .split(/\s+/).filter(Boolean);
+    const childMemory = await Promise.all(children.map(child => processTreeMemoryMb(child)));
+    return Number(residentPages) * 4096 / 1024 / 1024 + childMemory.reduce((sum, mb) => sum + (mb || 0), 0);
+  } catch {
+    return null;
+  }
+}
+
+// Only called from getTableOfContents, under tocLimit, so a restart never closes a browser that's in use
+async function getBrowser() {
+  if (browserPromise) {
+    const browser = await browserPromise;
+    const pid = browser.process()?.pid;
+    const memoryMb = pid ? await processTreeMemoryMb(pid) : null;
+    if (!browser.connected || browserUses >= BROWSER_MAX_USES || memoryMb > BROWSER_MAX_RSS_MB) {
+      console.log(`Restarting the headless browser after ${browserUses} uses${memoryMb ? ` (${Math.round(memoryMb)} MB)` : ''}`);
+      await closeBrowser();
+    }
+  }
+  if (!browserPromise) {
+    browserUses = 0;
+    const launch = puppeteer.launch({
+      headless: true,
+      args: [
+        ...(CHROME_NO_SANDBOX ? ["--no-sandbox", "--disable-setuid-sandbox"] : []),
+        "--disable-dev-shm-usage",
+      ],
+    });
+    browserPromise = launch;
+    // A failed launch isn't kept, so the next table of contents read tries again
+    launch.catch(() => {
+      if (browserPromise === launch) browserPromise = null;
+    });
+  }
+  browserUses++;
+  return browserPromise;
+}
+
+async function closeBrowser() {
+  if (browserPromise) {
+    const browser = await browserPromise.catch(() => null);
+    browserPromise = null;
+    if (browser) await browser.close().catch(() => {});
+  }
+}
+
+
+
+async function getTableOfContents(pageUrl, allowedHosts = null) {
+
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+
+  
+  try {
+
+      // Add interception here (before goto) to not scrape media, font, etc
+    await page.setRequestInterception(true);
+    page.on("request", (req) => {
+      const t = req.resourceType();
+      if (["image", "media", "font"].includes(t)) return req.abort();
+      // The page itself (and any redirect of it) has to stay on the allowed hosts
+      if (req.isNavigationRequest() && req.frame() === page.mainFrame() && !isAllowedUrl(req.url(), allowedHosts)) return req.abort();
+      req.continue();
+    });
+      
+    await page.goto(pageUrl, { waitUntil: "domcontentloaded" });
+
+    // Wait for the button and click it
+    await page.waitForSelector(".show-toc", { visible: true, timeout: 120000 });
+    await page.click(".show-toc");
+
+    // Optionally wait for content to appear
+    await page.waitForSelector(".table-of-contents", { visible: true, timeout: 120000 });
+
+    // Grab the HTML
+    return await page.$eval(".table-of-contents", (el) => el.outerHTML);
+    
+  } finally {
+    // Close page first (most important for RAM), then browser
+    if (page) await page.close().catch(() => {});
+    // await browser.close().catch(() => {});
+  }
+}
+
+// Whether url is http(s) on one of hosts or a subdomain of one; hosts null allows any host
+const isAllowedUrl = (url, hosts) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+    const hostname = parsed.hostname.toLowerCase();
+    return !hosts || hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+};
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Fetches url, aborting after timeoutMs or as soon as the optional signal (e.g. a cancelled job) aborts.
+// Redirects are followed only to http(s) URLs on allowedHosts (null for any host).
+const fetchWithTimeout = async (url, timeoutMs = 5000, signal, allowedHosts = null) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const fetchSignal = signal ? AbortSignal.any([controller.signal, signal]) : controller.signal;
+        let target = url;
+        for (let redirects = 0; ; redirects++) {
+            const response = await fetch(target, { signal: fetchSignal, redirect: 'manual' });
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.has(response.status) || !location) {
+                clearTimeout(timeout);
+                return response;
+            }
+            await response.body?.cancel();
+            target = new URL(location, target).href;
+            if (redirects >= MAX_REDIRECTS) {
+                throw new Error(`${url} redirected more than ${MAX_REDIRECTS} times`);
+            }
+            if (!isAllowedUrl(target, allowedHosts)) {
+                throw new Error(`${url} redirected to ${target}, which is not on an allowed host`);
+            }
+        }
+    } catch (error) {
+        clearTimeout(timeout);
+        throw error;
+    }
+};
+
+const sleep = (ms, signal) => new Promise((done, reject) => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+// Delay requested by a Retry-After header, given either in seconds or as an HTTP date
+const retryAfterMs = (response) => {
+    const header = response?.headers.get('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// fetchWithTimeout with retries. The last response is returned even when it isn't ok, so callers can report its status.
+async function fetchWithRetry(url, { timeoutMs = 20000, retries = FETCH_RETRIES, signal, allowedHosts = null } = {}) {
+    if (OFFLINE) {
+        throw new Error(`Not fetching ${url}: running offline`);
+    }
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        try {
+            response = await fetchWithTimeout(url, timeoutMs, signal, allowedHosts);
+            if (response.ok || !RETRYABLE_STATUSES.has(response.status) || attempt >= retries) {
+                return response;
+            }
+            await response.body?.cancel();
+        } catch (error) {
+            if (signal?.aborted || attempt >= retries) throw error;
+        }
+        const backoff = Math.min(FETCH_BACKOFF_MS * 2 ** attempt, FETCH_MAX_BACKOFF_MS);
+        const delay = Math.min(retryAfterMs(response) ?? backoff, FETCH_MAX_BACKOFF_MS);
+        console.warn(`Retrying ${url} in ${delay}ms (attempt ${attempt + 2} of ${retries + 1})`);
+        await sleep(delay, signal);
+    }
+}
+
+// Cache entries are stored by a hash of their key (usually the URL) and point to content stored by its own hash,
+// so identical pages are only kept once
+const hashOf = (value) => createHash('sha256').update(value).digest('hex');
+
+// Once per process, drops entries older than CACHE_TTL_MS, content no entry points to any more and temp files
+// left by interrupted writes. Offline runs keep everything, since the cache is all they have.
+let cachePruned = null;
+const pruneCache = () => cachePruned ??= (async () => {
+    if (OFFLINE) return;
+    const entriesDir = join(CACHE_DIR, 'entries');
+    const contentDir = join(CACHE_DIR, 'content');
+    const referenced = new Set();
+    let removed = 0;
+    for (const name of await fs.promises.readdir(entriesDir).catch(() => [])) {
+        const path = join(entriesDir, name);
+        try {
+            if (!name.endsWith('.json')) {
+                // a temp file that was never renamed; only remove it once its writer is surely gone
+                if (Date.now() - (await fs.promises.stat(path)).mtimeMs > 60 * 60 * 1000) {
+                    await fs.promises.rm(path, { force: true });
+                }
+                continue;
+            }
+            const entry = JSON.parse(await fs.promises.readFile(path, 'utf-8'));
+            if (Date.now() - entry.fetchedAt < CACHE_TTL_MS) {
+                referenced.add(entry.contentHash);
+                continue;
+            }
+        } catch {
+            // unreadable entries are removed like expired ones
+        }
+        await fs.promises.rm(path, { force: true });
+        removed++;
+    }
+    for (const name of await fs.promises.readdir(contentDir).catch(() => [])) {
+        if (referenced.has(name)) continue;
+        // content written after the entries were read may not have its entry yet
+        const stat = await fs.promises.stat(join(contentDir, name)).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > 60 * 60 * 1000) {
+            await fs.promises.rm(join(contentDir, name), { force: true });
+        }
+    }
+    if (removed) console.log(`Pruned ${removed} expired cache entries from ${CACHE_DIR}`);
+})().catch(error => console.error('Error pruning the cache:', error));
+
+async function readCache(key) {
+    await pruneCache();
+    try {
+        const entry = JSON.parse(await fs.promises.readFile(join(CACHE_DIR, 'entries', `${hashOf(key)}.json`), 'utf-8'));
+        const content = await fs.promises.readFile(join(CACHE_DIR, 'content', entry.contentHash), 'utf-8');
+        return { ...entry, content };
+    } catch {
+        return null;
+    }
+}
+
+async function writeCache(key, content) {
+    const contentHash = hashOf(content);
+    const entry = { key, contentHash, fetchedAt: Date.now() };
+    await fs.promises.mkdir(join(CACHE_DIR, 'entries'), { recursive: true });
+    await fs.promises.mkdir(join(CACHE_DIR, 'content'), { recursive: true });
+    await fs.promises.writeFile(join(CACHE_DIR, 'content', contentHash), content);
+    // write then rename so a concurrent reader never sees a half-written entry
+    const entryPath = join(CACHE_DIR, 'entries', `${hashOf(key)}.json`);
+    // a random suffix, since two scrapes in one process can write the same key at once
+    const tempPath = `${entryPath}.${process.pid}.${randomUUID()}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+    await fs.promises.rename(tempPath, entryPath);
+}
+
+// Returns the cached text for key while it is younger than CACHE_TTL_MS, otherwise produces and caches it.
+// If producing fails, a stale cached copy is better than nothing.
+async function cachedText(key, produce, signal) {
+    const entry = await readCache(key);
+    if (entry && (OFFLINE || Date.now() - entry.fetchedAt < CACHE_TTL_MS)) {
+        return entry.content;
+    }
+    if (OFFLINE) {
+        throw new Error(`${key} is not cached and running offline`);
+    }
+    try {
+        const content = await produce();
+        await writeCache(key, content).catch(error => console.error(`Error caching ${key}:`, error));
+        return content;
+    } catch (error) {
+        if (entry && !signal?.aborted) {
+            console.warn(`Using stale cache for ${key}: ${error.message}`);
+            return entry.content;
+        }
+        throw error;
+    }
+}
+
+// Only URLs on allowedHosts (null for any host) are fetched, and only redirects to them followed
+const fetchCachedText = async (url, signal, allowedHosts = null) => {
+    if (!isAllowedUrl(url, allowedHosts)) {
+        throw new Error(`${url} is not on an allowed host`);
+    }
+    return cachedText(url, async () => {
+        const response = await fetchWithRetry(url, { signal, allowedHosts });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url} (${response.status})`);
+        }
+        return response.text();
+    }, signal);
+};
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+    'image/webp': 'webp'
+};
+
+const slugify = (value) => String(value).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+
+// Builds a stable, media-library friendly file name (without extension) for a figure image,
+// e.g. "chapter-3-figure-3-12" or "chapter-3-motion-in-two-dimensions-image-2" for unnumbered figures
+const figureImageName = (prefix, figureNumber, sectionSlug, index) => {
+    if (figureNumber) {
+        return `${prefix}-figure-${slugify(figureNumber)}`;
+    }
+    return `${prefix}-${sectionSlug}-image-${index}`;
+};
+
+const imageExtension = (url, contentType = '') => {
+    const fromType = IMAGE_EXTENSIONS[contentType.split(';')[0].trim().toLowerCase()];
+    if (fromType) return fromType;
+    const match = new URL(url).pathname.match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toLowerCase().replace('jpeg', 'jpg') : 'jpg';
+};
+
+async function downloadImage(url, signal, allowedHosts = null) {
+    if (!isAllowedUrl(url, allowedHosts)) {
+        throw new Error(`${url} is not on an allowed host`);
+    }
+    const response = await fetchWithRetry(url, { timeoutMs: 30000, signal, allowedHosts });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch image ${url} (${response.status})`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    return { data, contentType: response.headers.get('content-type') || '' };
+}
+
+const CC_LICENSE_NAMES = {
+    'by': 'Attribution',
+    'by-sa': 'Attribution-ShareAlike',
+    'by-nd': 'Attribution-NoDerivatives',
+    'by-nc': 'Attribution-NonCommercial',
+    'by-nc-sa': 'Attribution-NonCommercial-ShareAlike',
+    'by-nc-nd': 'Attribution-NonCommercial-NoDerivatives'
+};
+
+// Default attribution appended to every chapter. Placeholders in braces are replaced by renderAttribution().
+const DEFAULT_ATTRIBUTION_TEMPLATE = '"{pageLink}" from {bookLink} by {authors} is licensed under a {licenseLink}.';
+
+// Turns a Creative Commons license URL into its full name,
+// e.g. https://creativecommons.org/licenses/by-nc-sa/4.0/ -> Creative Commons Attribution-NonCommercial-ShareAlike 4.0 International License
+const licenseNameFromUrl = (licenseUrl) => {
+    const match = licenseUrl?.match(/creativecommons\.org\/licenses\/([a-z-]+)\/(\d\.\d)/i);
+    if (!match || !CC_LICENSE_NAMES[match[1].toLowerCase()]) return null;
+    const version = match[2];
+    const international = parseFloat(version) >= 4 ? ' International' : '';
+    return `Creative Commons ${CC_LICENSE_NAMES[match[1].toLowerCase()]} ${version}${international} License`;
+};
+
+const bookSlugFromUrl = (pageUrl) => new URL(pageUrl).pathname.match(/\/books\/([^/]+)/)?.[1] || null;
+
+// Book metadata as a source could read it, with defaults for anything it couldn't:
+// { slug, title, url, authors, license: { name, url }, language, subjects, cover, description }
+const completeBookMetadata = ({ slug = null, title = null, url, authors = [], license = {}, language = null, subjects = [], cover = null, description = '' }) => {
+    const licenseUrl = license.url || 'https://creativecommons.org/licenses/by/4.0/';
+    return {
+        slug: slug || slugify(title || 'OpenStax'),
+        title: title || (slug ? slug.replace(/-/g, ' ') : 'OpenStax'),
+        url,
+        authors,
+        license: { url: licenseUrl, name: (license.url && license.name) || licenseNameFromUrl(licenseUrl) },
+        language: language || 'en',
+        subjects,
+        cover,
+        description
+    };
+};
+
+// What a REX page itself says about its book: canonical URL, language, title and license
+const pageBookMetadata = (html, pageUrl) => {
+    const { document } = new JSDOM(html).window;
+    const canonical = document.querySelector('link[rel="canonical"]')?.getAttribute('href');
+    const canonicalSlug = canonical && bookSlugFromUrl(new URL(canonical, pageUrl).href);
+    // REX page titles look like "1.1 Physics: An Introduction - College Physics 2e | OpenStax"
+    const pageTitle = document.querySelector('title')?.textContent || '';
+    const licenseUrl = document.querySelector('a[href*="creativecommons.org/licenses"]')?.getAttribute('href') || null;
+    return {
+        url: canonicalSlug ? `${new URL(pageUrl).origin}/books/${canonicalSlug}` : null,
+        language: document.documentElement.getAttribute('lang') || null,
+        title: pageTitle.replace(/\s*\|\s*OpenStax\s*$/, '').split(' - ').pop().trim() || null,
+        license: { url: licenseUrl, name: licenseNameFromUrl(licenseUrl) }
+    };
+};
+
+// Reads the title, canonical URL, authors, license, language, subjects, cover image and description of the
+// book that pageUrl belongs to. The OpenStax CMS API is tried first; the book page's own markup fills any gaps.
+async function getBookMetadata(pageUrl, signal, allowedHosts = null) {
+    const slug = bookSlugFromUrl(pageUrl);
+    const origin = new URL(pageUrl).origin;
+    const metadata = { slug, url: slug ? `${origin}/books/${slug}` : pageUrl, license: {} };
+
+    if (slug) {
+        try {
+            const data = JSON.parse(await fetchCachedText(`${origin}/apps/cms/api/books/${slug}`, signal, allowedHosts));
+            const authors = (data.authors || []).map(author => author.value || author);
+            const seniorAuthors = authors.filter(author => author.senior_author);
+            metadata.title = data.title || null;
+            metadata.authors = (seniorAuthors.length ? seniorAuthors : authors).map(author => author.name).filter(Boolean);
+            metadata.license = { url: data.license_url || null, name: licenseNameFromUrl(data.license_url) || data.license_name || null };
+            metadata.subjects = (data.book_subjects || []).map(subject => subject.subject_name).filter(Boolean);
+            metadata.cover = data.cover_url || null;
+            metadata.description = data.description ? new JSDOM(data.description).window.document.body.textContent.trim() : '';
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error(`Error fetching book metadata for ${slug}:`, error);
+        }
+    }
+
+    try {
+        const page = pageBookMetadata(await fetchCachedText(pageUrl, signal, allowedHosts), pageUrl);
+        metadata.url = page.url || metadata.url;
+        metadata.language = page.language;
+        metadata.title ||= page.title;
+        if (!metadata.license.url) metadata.license = page.license;
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error(`Error reading book metadata from ${pageUrl}:`, error);
+    }
+
+    return completeBookMetadata(metadata);
+}
+
+// Fills an attribution template for one page. Raw values ({pageTitle}, {bookUrl}, ...) are HTML-escaped;
+// the *Link placeholders expand to ready-made anchors.
+const renderAttribution = (template, book, page) => {
+    const link = (href, label) => `<a href="${he.encode(href)}">${he.encode(label)}</a>`;
+    const values = {
+        pageTitle: he.encode(page.title),
+        pageUrl: he.encode(page.url),
+        pageLink: link(page.url, page.title),
+        bookTitle: he.encode(book.title),
+        bookUrl: he.encode(book.url),
+        bookLink: link(book.url, book.title),
+        authors: he.encode(book.authors.length ? book.authors.join(', ') : 'OpenStax'),
+        licenseName: he.encode(book.license.name),
+        licenseUrl: he.encode(book.license.url),
+        licenseLink: link(book.license.url, book.license.name)
+    };
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+};
+
+const MATTER_TYPE_NAMES = {
+    preface: 'Preface',
+    index: 'Index',
+    glossary: 'Glossary',
+    appendix: 'Appendix',
+    miscellaneous: 'Miscellaneous'
+};
+
+// Pressbooks book license slug for a Creative Commons URL, e.g. https://creativecommons.org/licenses/by-nc-sa/4.0/ -> cc-by-nc-sa
+const pressbooksLicense = (licenseUrl) => {
+    const type = licenseUrl?.match(/creativecommons\.org\/licenses\/([a-z-]+)\//i)?.[1].toLowerCase();
+    return type && CC_LICENSE_NAMES[type] ? `cc-${type}` : 'all-rights-reserved';
+};
+
+// Pressbooks post statuses: publish shows a post on the web and in exports, web-only on the web,
+// private in exports only and draft nowhere
+const WXR_POST_STATUSES = ['web-only', 'publish', 'private', 'draft'];
+
+// WordPress post dates are "YYYY-MM-DD HH:MM:SS"; the export writes UTC for both the local and GMT date
+const wxrDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Character references in post HTML become the characters they stand for, except those the markup needs
+// escaped: decoding &lt; or &quot; would break the HTML
+const decodeEntities = (html) => html.replace(/&(?:#\d+|#x[\da-f]+|\w+);/gi, (entity) => {
+    const character = he.decode(entity);
+    return /^[<>&"']$/.test(character) ? entity : character;
+});
+
+// Text in a CDATA section, which can't hold "]]>"; in HTML content the escaped form reads the same
+const cdata = (text) => ({ $: String(text ?? '').replaceAll(']]>', ']]&gt;') });
+
+// Builds the WXR file for a book: { title, slug, url, authors, license, language, subjects, cover, description,
+// frontMatter, parts, backMatter, glossary, onlyIds }, where each part holds its chapters in `subsections`.
+// postStatus applies to front matter, chapters and back matter; parts, glossary terms and Book Information
+// are always published. postDate (a Date or date string) defaults to now. full exports every post of a
+// re-synced book, for the next re-sync to compare against.
+const buildPressbooksXML = (book, { postStatus = 'web-only', postDate, full = false } = {}) => {
+    if (!WXR_POST_STATUSES.includes(postStatus)) {
+        throw new Error(`postStatus must be one of: ${WXR_POST_STATUSES.join(', ')}`);
+    }
+    const date = postDate ? new Date(postDate) : new Date();
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`postDate "${postDate}" is not a valid date`);
+    }
+    const channelItems = [];
+    // A re-sync export (see resyncBook) lists the post ids to include
+    const partial = book.onlyIds && !full;
+    const addItem = (item) => {
+        if (!partial || book.onlyIds.has(item['wp:post_id'])) channelItems.push(item);
+    };
+    const baseUrl = `https://example.pressbooks.pub/${book.slug || slugify(book.title) || 'book'}`;
+
+    const terms = [{
+        'wp:term_id': 1,
+        'wp:term_taxonomy': 'chapter-type',
+        'wp:term_slug': 'standard',
+        'wp:term_name': 'Standard'
+    }];
+    const termDomains = { 'front-matter': 'front-matter-type', 'back-matter': 'back-matter-type' };
+    const addTerm = (taxonomy, slug) => {
+        if (!terms.some(term => term['wp:term_taxonomy'] === taxonomy && term['wp:term_slug'] === slug)) {
+            terms.push({
+                'wp:term_id': terms.length + 1,
+                'wp:term_taxonomy': taxonomy,
+                'wp:term_slug': slug,
+                'wp:term_name': MATTER_TYPE_NAMES[slug]
+            });
+        }
+    };
+
+    // Posts without a usable slug (e.g. a glossary term with no latin letters) are named after their id
+    const buildItem = ({ title, slug, id, content = '', postType, parent = 0, order, status = postStatus, category, postmeta }) => ({
+        title: cdata(title),
+        link: `${baseUrl}/${postType}/${slug || `${postType}-${id}`}/`,
+        pubDate: date.toUTCString(),
+        'dc:creator': 'admin',
+        guid: {
+            '@isPermaLink': 'false',
+            '#': `${baseUrl}/?p=${id}`
+        },
+        description: '',
+        'content:encoded': cdata(content),
+        'excerpt:encoded': cdata(''),
+        'wp:post_id': id,
+        'wp:post_date': cdata(wxrDate(date)),
+        'wp:post_date_gmt': cdata(wxrDate(date)),
+        'wp:post_name': cdata(slug || `${postType}-${id}`),
+        'wp:status': cdata(status),
+        'wp:post_parent': parent,
+        'wp:menu_order': order,
+        'wp:post_type': cdata(postType),
+        'wp:is_sticky': 0,
+        ...(category && { category }),
+        ...(postmeta && { 'wp:postmeta': postmeta })
+    });
+
+    const matterItem = (item, postType) => {
+        addTerm(termDomains[postType], item.type);
+        return buildItem({
+            title: item.title,
+            slug: item.slug,
+            id: item.id,
+            content: decodeEntities(item.content),
+            postType,
+            order: item.order,
+            category: {
+                '@domain': termDomains[postType],
+                '@nicename': item.type,
+                '#': MATTER_TYPE_NAMES[item.type]
+            }
+        });
+    };
+
+    // Pressbooks reads its Book Information page from the "metadata" post's pb_* meta
+    const bookInformation = [
+        ['pb_title', book.title],
+        ...book.authors.map(author => ['pb_authors', author]),
+        ['pb_publisher', 'OpenStax'],
+        ['pb_language', book.language],
+        ['pb_book_license', pressbooksLicense(book.license.url)],
+        ['pb_is_based_on', book.url],
+        ['pb_cover_image', book.cover],
+        ['pb_about_50', book.description.split(/\s+/).slice(0, 50).join(' ')],
+        ...book.subjects.map(subject => ['pb_keywords_tags', subject])
+    ].filter(([, value]) => value);
+    addItem(buildItem({
+        title: 'Book Information',
+        slug: 'book-information',
+        id: 1,
+        postType: 'metadata',
+        order: 0,
+        status: 'publish',
+        postmeta: bookInformation.map(([key, value]) => ({
+            'wp:meta_key': key,
+            'wp:meta_value': cdata(value)
+        }))
+    }));
+
+    book.frontMatter.forEach(item => {
+        console.log(`Processing front matter: ${item.title}`);
+        addItem(matterItem(item, 'front-matter'));
+    });
+
+    book.parts.forEach((part, index) => {
+        console.log(`Processing part: ${part.title}`);
+        // Part. Pressbooks has no units, so the first part of each unit introduces it.
+        const startsUnit = part.unit && part.unit.title !== book.parts[index - 1]?.unit?.title;
+        addItem(buildItem({
+            title: part.title,
+            slug: part.slug,
+            id: part.id,
+            content: startsUnit ? `<p class="part-unit">${he.encode(part.unit.title)}</p>` : '',
+            postType: 'part',
+            order: part.order,
+            status: 'publish'
+        }));
+
+        // Chapters in part
+        part.subsections.forEach(chapter => {
+            console.log(`Processing chapter: ${chapter.title}`);
+            addItem(buildItem({
+                title: chapter.title,
+                slug: chapter.slug,
+                id: chapter.id,
+                content: decodeEntities(chapter.content),
+                postType: 'chapter',
+                parent: part.id,
+                order: chapter.order,
+                category: {
+                    '@domain': 'chapter-type',
+                    '@nicename': 'standard',
+                    '#': 'Standard'
+                }
+            }));
+        });
+    });
+
+    book.backMatter.forEach(item => {
+        console.log(`Processing back matter: ${item.title}`);
+        addItem(matterItem(item, 'back-matter'));
+    });
+
+    (book.glossary || []).forEach(entry => {
+        addItem(buildItem({
+            title: entry.term,
+            slug: entry.slug,
+            id: entry.id,
+            content: decodeEntities(entry.definition),
+            postType: 'glossary',
+            order: entry.order,
+            status: 'publish'
+        }));
+    });
+
+    const xmlObj = {
+        rss: {
+            '@version': '2.0',
+            '@xmlns:excerpt': 'http://wordpress.org/export/1.2/excerpt/',
+            '@xmlns:content': 'http://purl.org/rss/1.0/modules/content/',
+            '@xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+            '@xmlns:wp': 'http://wordpress.org/export/1.2/',
+            channel: {
+                ...(partial && { '!': RESYNC_EXPORT_NOTE }),
+                title: book.title,
+                link: baseUrl,
+                description: book.description || `Imported version of ${book.title}`,
+                language: book.language,
+                ...(book.cover && { image: { url: book.cover, title: book.title, link: baseUrl } }),
+                'wp:wxr_version': '1.2',
+                'wp:base_site_url': 'https://example.pressbooks.pub/',
+                'wp:base_blog_url': baseUrl,
+                'wp:term': terms,
+                item: channelItems
+            }
+        }
+    };
+
+    const doc = create(xmlObj);
+    return doc.end({ prettyPrint: true });
+};
+
+// Post types a re-sync compares; the Book Information (metadata) post is left alone
+const RESYNC_POST_TYPES = ['front-matter', 'part', 'chapter', 'back-matter', 'glossary'];
+// Comment marking a re-sync export, which can't be re-synced against since it lacks the unchanged posts
+const RESYNC_EXPORT_NOTE = ' Re-sync export: only the added and changed posts. The whole book is in pressbooks-full.xml. ';
+
+// Reads the items of a WXR export: { id, postType, slug, title, content, parent, order }
+function readWxrItems(xml) {
+    let document;
+    try {
+        document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+    } catch (error) {
+        throw new Error(`The previous export is not valid XML: ${error.message}`);
+    }
+    const channel = document.getElementsByTagName('channel')[0];
+    if (!channel) {
+        throw new Error('The previous export is not a WXR file');
+    }
+    if ([...channel.childNodes].some(node => node.nodeType === node.COMMENT_NODE && node.data.trim() === RESYNC_EXPORT_NOTE.trim())) {
+        throw new Error('The previous export only holds the posts its re-sync changed; re-sync against the pressbooks-full.xml exported with it');
+    }
+    const field = (item, name) => item.getElementsByTagName(name)[0]?.textContent.trim() ?? '';
+    return [...document.getElementsByTagName('item')].map(item => ({
+        id: Number(field(item, 'wp:post_id')),
+        postType: field(item, 'wp:post_type'),
+        slug: field(item, 'wp:post_name'),
+        title: field(item, 'title'),
+        content: item.getElementsByTagName('content:encoded')[0]?.textContent ?? '',
+        parent: Number(field(item, 'wp:post_parent')),
+        order: Number(field(item, 'wp:menu_order'))
+    })).filter(item => RESYNC_POST_TYPES.includes(item.postType));
+}
+
+// Figures in converted content, keyed by their caption number ("Figure 1.3") or else the image file
+function contentFigures(content) {
+    const figures = new Map();
+    JSDOM.fragment(content).querySelectorAll('.wp-caption').forEach(figure => {
+        const img = figure.querySelector('img');
+        const caption = figure.querySelector('figcaption');
+        const key = caption?.querySelector('span')?.textContent.trim() || img?.getAttribute('src')?.split('/').pop();
+        if (key) {
+            figures.set(key, { src: img?.getAttribute('src') || null, alt: img?.getAttribute('alt') || '', caption: caption?.textContent.replace(/\s+/g, ' ').trim() || '' });
+        }
+    });
+    return figures;
+}
+
+const figureChanges = (previousContent, content) => {
+    const before = contentFigures(previousContent);
+    const after = contentFigures(content);
+    return {
+        added: [...after.keys()].filter(key => !before.has(key)),
+        removed: [...before.keys()].filter(key => !after.has(key)),
+        changed: [...after.keys()].filter(key => before.has(key) && JSON.stringify(before.get(key)) !== JSON.stringify(after.get(key)))
+    };
+};
+
+const normalizeContent = (content) => content.replace(/\s+/g, ' ').trim();
+
+// Matches a new conversion against a previous export by post type and slug. Matched posts take their previous
+// post id, new posts are numbered after the highest previous id, and book.onlyIds is set to the added and
+// changed posts so buildPressbooksXML exports only those, and book.existingIds to the posts already in Pressbooks
+// that they may point at. Returns the diff, grouped by OpenStax chapter (part).
+function resyncBook(book, previousItems) {
+    const previousByKey = new Map(previousItems.map(item => [`${item.postType}:${item.slug}`, item]));
+    const matchedKeys = new Set();
+    let nextId = Math.max(1, ...previousItems.map(item => item.id)) + 1;
+
+    // Every post in book order, with the content as it is written to the WXR
+    const posts = [
+        ...book.frontMatter.map(item => ({ item, postType: 'front-matter', group: 'Front matter' })),
+        ...book.parts.flatMap(part => [
+            { item: part, postType: 'part', group: part.title },
+            ...part.subsections.map(chapter => ({ item: chapter, postType: 'chapter', group: part.title, part }))
+        ]),
+        ...book.backMatter.map(item => ({ item, postType: 'back-matter', group: 'Back matter' })),
+        ...(book.glossary || []).map(entry => ({ item: entry, postType: 'glossary', group: 'Glossary' }))
+    ];
+    const newIds = new Map();
+    posts.forEach(post => {
+        const key = `${post.postType}:${post.item.slug}`;
+        post.previous = matchedKeys.has(key) ? null : previousByKey.get(key) || null;
+        if (post.previous) matchedKeys.add(key);
+        newIds.set(post.item.id, post.previous ? post.previous.id : nextId++);
+    });
+
+    // Renumber posts, then the glossary shortcodes that point at them
+    posts.forEach(post => {
+        post.item.id = newIds.get(post.item.id);
+    });
+    const relinkGlossary = (content) => content.replace(/\[pb_glossary id="(\d+)"\]/g, (match, id) => `[pb_glossary id="${newIds.get(Number(id)) ?? id}"]`);
+    posts.filter(({ postType }) => postType !== 'part' && postType !== 'glossary').forEach(({ item }) => {
+        item.content = relinkGlossary(item.content);
+    });
+
+    const diff = { previousItems: previousItems.length, added: 0, removed: 0, changed: 0, unchanged: 0, chapters: [] };
+    const groups = new Map();
+    const group = (title) => {
+        if (!groups.has(title)) {
+            groups.set(title, { title, sections: [] });
+            diff.chapters.push(groups.get(title));
+        }
+        return groups.get(title);
+    };
+    book.onlyIds = new Set();
+    book.existingIds = new Set(previousItems.map(item => item.id));
+    posts.forEach(({ item, postType, group: groupTitle, part, previous }) => {
+        const title = postType === 'glossary' ? item.term : item.title;
+        const content = decodeEntities(postType === 'glossary' ? item.definition : item.content || '');
+        const section = { title, slug: item.slug, postType, id: item.id };
+        if (!previous) {
+            section.status = 'added';
+            diff.added++;
+        } else {
+            const changes = [];
+            if (previous.title !== title) changes.push('title');
+            if (postType !== 'part' && normalizeContent(previous.content) !== normalizeContent(content)) changes.push('content');
+            if (postType === 'chapter' && (previous.parent !== part.id || previous.order !== item.order)) changes.push('position');
+            if (!changes.length) {
+                diff.unchanged++;
+                return;
+            }
+            section.status = 'changed';
+            section.changes = changes;
+            if (changes.includes('content') && postType !== 'glossary') section.figures = figureChanges(previous.content, content);
+            diff.changed++;
+        }
+        book.onlyIds.add(item.id);
+        group(groupTitle).sections.push(section);
+    });
+
+    // Removed chapters are listed under the part they used to belong to
+    const previousParts = new Map(previousItems.filter(item => item.postType === 'part').map(item => [item.id, item.title]));
+    const groupTitles = { 'front-matter': 'Front matter', 'back-matter': 'Back matter', glossary: 'Glossary' };
+    previousItems.filter(item => !matchedKeys.has(`${item.postType}:${item.slug}`)).forEach(item => {
+        const groupTitle = item.postType === 'part' ? item.title
+            : item.postType === 'chapter' ? previousParts.get(item.parent) || 'Removed parts' : groupTitles[item.postType];
+        group(groupTitle).sections.push({ title: item.title, slug: item.slug, postType: item.postType, id: item.id, status: 'removed' });
+        diff.removed++;
+    });
+
+    return diff;
+}
+
+// Elements removed from page content because Pressbooks strips them on import or they can't run outside OpenStax
+const STRIPPED_ELEMENTS = ['script', 'style', 'iframe', 'object', 'embed', 'form'];
+
+// Collects everything a conversion dropped or couldn't convert. Counters keyed by name are
+// turned into sorted lists by finalizeConversionReport().
+const createConversionReport = (source, mathOutput = 'latex') => ({
+    source,
+    generatedAt: null,
+    pages: { total: 0, converted: 0, failed: 0, empty: 0 },
+    failedPages: [],
+    emptyPages: [],
+    math: { output: mathOutput, converted: 0, failed: [] },
+    strippedElements: [],
+    unrecognizedCallouts: {},
+    removedClasses: {},
+    accessibility: { fixed: { altText: 0, tableCaptions: 0, headerScopes: 0, headings: 0 }, issues: [] },
+    links: { internal: 0, outsideConversion: [], brokenAnchors: [] },
+    resync: null
+});
+
+const finalizeConversionReport = (report) => ({
+    ...report,
+    generatedAt: new Date().toISOString(),
+    unrecognizedCallouts: Object.entries(report.unrecognizedCallouts)
+        .map(([type, { count, pages }]) => ({ type, count, pages: [...pages] }))
+        .sort((a, b) => b.count - a.count),
+    removedClasses: Object.entries(report.removedClasses)
+        .map(([name, count]) => ({ class: name, count }))
+        .sort((a, b) => b.count - a.count)
+});
+
+// Failure message for conversions run with failOnEmpty: pages that failed to load are in the export as empty
+// posts too
+const emptyPagesError = (report) => [
+    report.failedPages.length && `${report.failedPages.length} page(s) failed to load: ${report.failedPages.map(page => page.title).join(', ')}`,
+    report.emptyPages.length && `${report.emptyPages.length} page(s) came back empty: ${report.emptyPages.map(page => page.title).join(', ')}`
+].filter(Boolean).join('; ');
+
+// Pressbooks front/back matter type for OpenStax pages that sit outside the numbered chapters.
+// Answer key pages are slugged "chapter-1", "chapter-2", ... and appendices "a-units", "b-...". A one letter
+// slug prefix alone isn't enough ("a-note-to-students"): the appendix letter also has to be the page's
+// os-number or start its title, as in "A | Units".
+const matterTypeForPage = ({ slug, title = '', number = null }) => {
+    if (slug === 'preface') return { postType: 'front-matter', type: 'preface' };
+    if (slug === 'index') return { postType: 'back-matter', type: 'index' };
+    if (/^chapter-\d+$/.test(slug)) return { postType: 'back-matter', type: 'miscellaneous', answerKey: true };
+    const letter = slug.match(/^([a-z])-/)?.[1].toUpperCase();
+    if (letter && (number === letter || new RegExp(`^${letter}\\s*\\|`).test(title))) {
+        return { postType: 'back-matter', type: 'appendix' };
+    }
+    return null;
+};
+
+// Callout (feature box) mappings: selector -> Pressbooks textbox type, title and collapse behaviour.
+// The defaults ship in callouts.json and can be overridden per conversion; see resolveCalloutMappings().
+const TEXTBOX_TYPES = ['examples', 'exercises', 'key-takeaways', 'learning-objectives', 'sidebar'];
+const COLLAPSE_MODES = ['solutions', 'content'];
+const TITLE_SOURCES = ['fixed', 'header'];
+const defaultCalloutMappings = JSON.parse(readFileSync(new URL('./callouts.json', import.meta.url), 'utf-8'));
+
+// Returns a list of problems with user supplied mappings, empty when they are usable
+function validateCalloutMappings(mappings) {
+    if (!Array.isArray(mappings)) {
+        return ['Callout mappings must be a JSON array'];
+    }
+    const { document } = new JSDOM('').window;
+    return mappings.flatMap((mapping, i) => {
+        const label = `Mapping ${i + 1}${mapping?.name ? ` (${mapping.name})` : ''}`;
+        if (!mapping || typeof mapping !== 'object') return [`${label} must be an object`];
+        const problems = [];
+        try {
+            document.querySelector(mapping.selector);
+        } catch {
+            problems.push(`${label} has an invalid selector: ${mapping.selector}`);
+        }
+        if (typeof mapping.selector !== 'string' || !mapping.selector.trim()) problems.push(`${label} needs a selector`);
+        if (!TEXTBOX_TYPES.includes(mapping.textbox)) problems.push(`${label} textbox must be one of ${TEXTBOX_TYPES.join(', ')}`);
+        if (typeof mapping.title !== 'string' || !mapping.title.trim()) problems.push(`${label} needs a title`);
+        if (mapping.titleFrom && !TITLE_SOURCES.includes(mapping.titleFrom)) problems.push(`${label} titleFrom must be one of ${TITLE_SOURCES.join(', ')}`);
+        if (mapping.collapse && !COLLAPSE_MODES.includes(mapping.collapse)) problems.push(`${label} collapse must be one of ${COLLAPSE_MODES.join(', ')}`);
+        return problems;
+    });
+}
+
+// Custom mappings replace the default of the same name in place (so the generic fallback stays last);
+// new ones are tried before all defaults
+const resolveCalloutMappings = (custom = []) => {
+    const customByName = new Map(custom.filter(mapping => mapping.name).map(mapping => [mapping.name, mapping]));
+    const defaultNames = new Set(defaultCalloutMappings.map(mapping => mapping.name));
+    return [
+        ...custom.filter(mapping => !defaultNames.has(mapping.name)),
+        ...defaultCalloutMappings.map(mapping => customByName.get(mapping.name) || mapping)
+    ];
+};
+
+// End-of-chapter sections OpenStax bakes into its pages, with the Pressbooks textbox each becomes
+const END_OF_CHAPTER_SECTIONS = [
+    { selector: '.os-review-questions-container, section.review-questions', title: 'Review Questions', textbox: 'textbox--exercises' },
+    { selector: '.os-problems-container, .os-problems-exercises-container, section.problems-exercises', title: 'Problems & Exercises', textbox: 'textbox--exercises' },
+    { selector: '.os-conceptual-questions-container, section.conceptual-questions', title: 'Conceptual Questions', textbox: 'textbox--exercises' },
+    { selector: '.os-critical-thinking-container, section.critical-thinking', title: 'Critical Thinking Items', textbox: 'textbox--exercises' },
+    { selector: '.os-summary-container, section.summary, section.section-summary', title: 'Section Summary', textbox: 'textbox--key-takeaways' }
+];
+
+const KEY_TERMS_SELECTOR = '.os-glossary-container, section.glossary, [data-type="glossary"]';
+
+// Glossary terms in page text are marked with this placeholder until every key terms page has been read,
+// then linkGlossaryTerms() swaps in [pb_glossary] shortcodes with the glossary post ids
+const glossaryPlaceholder = (term) => `[pb_glossary term="${normalizeTerm(term).replace(/"/g, '')}"]`;
+const normalizeTerm = (term) => term.replace(/\s+/g, ' ').trim().toLowerCase();
+
+const linkGlossaryTerms = (content, glossaryIds) =>
+    content.replace(/\[pb_glossary term="([^"]*)"\]([\s\S]*?)\[\/pb_glossary\]/g, (match, term, text) =>
+        glossaryIds.has(he.decode(term)) ? `[pb_glossary id="${glossaryIds.get(he.decode(term))}"]${text}[/pb_glossary]` : text);
+
+// Removes the id attributes not listed in keep from serialized page content. Serialized attribute values never
+// hold a raw quote, so ' id="' only ever starts an id attribute. Returns the content and every id it found.
+function pruneIds(content, keep) {
+    const found = new Set();
+    const pruned = content.replace(/(<[^\s>/!?][^>]*?) id="([^"]*)"/g, (match, tag, id) => {
+        const value = he.decode(id);
+        found.add(value);
+        return keep.has(value) ? match : tag;
+    });
+    return { content: pruned, found };
+}
+
+// Where each OpenStax page will live in the imported book, relative to any other chapter or matter page
+// (Pressbooks permalinks are /<post type>/<slug>/), so links survive whatever domain the book is imported to
+function pressbooksPaths(toc) {
+    const paths = new Map();
+    toc.frontMatter.forEach(item => paths.set(item.url, `../../front-matter/${item.slug}/`));
+    toc.parts.forEach(part => part.subsections.forEach(chapter => paths.set(chapter.url, `../../chapter/${chapter.slug}/`)));
+    toc.backMatter.forEach(item => paths.set(item.url, `../../back-matter/${item.slug}/`));
+    return paths;
+}
+
+// Image alt text that is really a file name ("fig1.jpg") says nothing about the image
+const isFileNameAlt = (alt) => /\.(jpe?g|png|gif|svg|webp)$/i.test(alt.trim());
+const needsAltText = (img) => !img.getAttribute('alt')?.trim() || isFileNameAlt(img.getAttribute('alt'));
+
+// Alt text from a figure or table caption, without its "Figure 1.3" label
+const captionAltText = (caption) => {
+    const clone = caption.cloneNode(true);
+    clone.querySelectorAll('.os-title-label, .os-number').forEach(label => label.remove());
+    clone.querySelectorAll('.os-divider').forEach(divider => divider.replaceWith(' '));
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+};
+
+const headingLevel = (heading) => Number(heading.tagName[1]);
+
+const renameElement = (el, tagName) => {
+    const replacement = el.ownerDocument.createElement(tagName);
+    [...el.attributes].forEach(attr => replacement.setAttribute(attr.name, attr.value));
+    replacement.append(...el.childNodes);
+    el.replaceWith(replacement);
+    return replacement;
+};
+
+// Accessibility pass over a page's content, run before attributes are cleaned up: moves table captions into
+// <caption>, adds missing th scopes, makes headings start at h2 (Pressbooks uses h1 for the chapter title) without
+// skipping levels, and records WCAG problems it can't fix in the report. Returns the elements whose ids other
+// elements refer to (table headers, aria-labelledby and aria-describedby targets) so their ids are kept.
+function improveAccessibility(mainContent, page, report) {
+    const document = mainContent.ownerDocument;
+    const { fixed, issues } = report.accessibility;
+    const referencedElements = new Set();
+    const addIssue = (criterion, issue, el) =>
+        issues.push({ page: page.title, url: page.url, criterion, issue, element: el.outerHTML.slice(0, 200) });
+
+    mainContent.querySelectorAll('img').forEach(img => {
+        if (!img.hasAttribute('alt') || isFileNameAlt(img.getAttribute('alt'))) {
+            addIssue('1.1.1 Non-text Content', 'Image has no alt text and no caption to take it from', img);
+        }
+    });
+
+    mainContent.querySelectorAll('table').forEach(table => {
+        // OpenStax renders table captions in a container next to the table
+        const captionContainer = table.closest('.os-table')?.querySelector(':scope > .os-caption-container');
+        if (!table.querySelector(':scope > caption') && captionContainer) {
+            const caption = document.createElement('caption');
+            caption.append(...captionContainer.childNodes);
+            table.prepend(caption);
+            captionContainer.remove();
+            fixed.tableCaptions++;
+        }
+
+        const headerCells = [...table.querySelectorAll('th')];
+        if (!headerCells.length) {
+            addIssue('1.3.1 Info and Relationships', 'Table has no header cells', table);
+        }
+        headerCells.filter(th => !th.hasAttribute('scope')).forEach(th => {
+            const row = th.parentElement;
+            const scope = th.closest('thead') || [...row.children].every(cell => cell.tagName === 'TH') ? 'col'
+                : row.firstElementChild === th ? 'row' : null;
+            if (scope) {
+                th.setAttribute('scope', scope);
+                fixed.headerScopes++;
+            } else {
+                addIssue('1.3.1 Info and Relationships', 'Header cell direction could not be worked out', th);
+            }
+        });
+    });
+
+    [['headers', '1.3.1 Info and Relationships'], ['aria-labelledby', '4.1.2 Name, Role, Value'], ['aria-describedby', '1.3.1 Info and Relationships']].forEach(([attribute, criterion]) => {
+        mainContent.querySelectorAll(`[${attribute}]`).forEach(el => {
+            el.getAttribute(attribute).split(/\s+/).filter(Boolean).forEach(id => {
+                const target = document.getElementById(id);
+                if (target && mainContent.contains(target)) {
+                    referencedElements.add(target);
+                } else {
+                    addIssue(criterion, `${attribute} refers to missing id "${id}"`, el);
+                }
+            });
+        });
+    });
+
+    // The page title is already the Pressbooks chapter title
+    mainContent.querySelectorAll('[data-type="document-title"]').forEach(title => title.remove());
+    const headings = [...mainContent.querySelectorAll('h1, h2, h3, h4, h5, h6')];
+    const shift = headings.length ? 2 - Math.min(...headings.map(headingLevel)) : 0;
+    let previousLevel = 1;
+    headings.forEach(heading => {
+        const level = Math.min(headingLevel(heading) + shift, previousLevel + 1, 6);
+        previousLevel = level;
+        if (!heading.textContent.trim()) {
+            addIssue('2.4.6 Headings and Labels', 'Heading is empty', heading);
+        }
+        if (level !== headingLevel(heading)) {
+            const renamed = renameElement(heading, `h${level}`);
+            if (referencedElements.delete(heading)) referencedElements.add(renamed);
+            fixed.headings++;
+        }
+    });
+
+    mainContent.querySelectorAll('a[href]').forEach(link => {
+        const hasName = link.textContent.trim() || link.getAttribute('aria-label')?.trim()
+            || [...link.querySelectorAll('img')].some(img => img.getAttribute('alt')?.trim());
+        if (!hasName) {
+            addIssue('2.4.4 Link Purpose (In Context)', 'Link has no text', link);
+        }
+    });
+
+    return referencedElements;
+}
+
+// How <math> elements are written out: Pressbooks [latex] shortcodes, cleaned MathML for MathJax to render,
+// or SVG rendered at conversion time. Anything that can't be converted is kept as MathML.
+const MATH_OUTPUTS = ['latex', 'mathml', 'svg'];
+
+// Copy of a <math> element without the content MathML OpenStax adds next to the presentation markup
+const cleanMathML = (mathEl) => {
+    const clone = mathEl.cloneNode(true);
+    clone.querySelectorAll('annotation-xml').forEach(node => node.remove());
+    return clone;
+};
+
+const isDisplayMath = (mathEl) => mathEl.getAttribute('display') === 'block';
+
+// The speech rule engine (MathJax's speech output) set up for English ClearSpeak, the first time a conversion asks
+// for SVG
+let mathSpeechReady = null;
+const setUpMathSpeech = () => mathSpeechReady ??= SRE.setupEngine({ locale: 'en', domain: 'clearspeak', modality: 'speech' })
+    .then(() => SRE.engineReady());
+
+// What a screen reader would say for an expression ("x equals one half"), or '' when the engine can't read it
+const mathSpeech = (mathml) => {
+    try {
+        return SRE.toSpeech(mathml).replace(/\s+/g, ' ').trim();
+    } catch {
+        return '';
+    }
+};
+
+// Plain reading of an expression's tokens, the last resort for SVG alt text
+const mathTokenText = (mathEl) => [...mathEl.querySelectorAll('mi, mn, mo, mtext, ms')]
+    .map(token => token.textContent.trim()).filter(Boolean).join(' ');
+
+// Why a LaTeX conversion can't be trusted, or null if it looks right: MathMLToLaTeX silently drops parts of
+// expressions it doesn't understand (chemistry, matrices), so every plain identifier and number has to survive
+function latexProblem(mathEl, latex) {
+    if (!latex.trim()) return 'Empty LaTeX output';
+    if (mathEl.querySelector('mmultiscripts')) return 'Prescripts (mmultiscripts) are not supported in LaTeX output';
+    if (mathEl.querySelector('mtable') && !latex.includes('\\begin{')) return 'Table layout lost in LaTeX output';
+    let depth = 0;
+    for (const brace of latex.replace(/\\[{}]/g, '').replace(/[^{}]/g, '')) {
+        depth += brace === '{' ? 1 : -1;
+        if (depth < 0) break;
+    }
+    if (depth !== 0) return 'Unbalanced braces in LaTeX output';
+    const compact = latex.replace(/\s+/g, '');
+    const missing = [...mathEl.querySelectorAll('mi, mn')]
+        .map(token => token.textContent.trim())
+        .find(token => /^[A-Za-z0-9.]+$/.test(token) && !compact.includes(token));
+    return missing ? `LaTeX output is missing "${missing}"` : null;
+}
+
+// MathJax document for SVG output, created the first time a conversion asks for SVG
+let svgMath = null;
+
+// Renders MathML to a standalone SVG string; MathJax marks markup it can't parse with merror instead of throwing
+function renderMathSvg(mathml, display) {
+    if (!svgMath) {
+        const adaptor = liteAdaptor();
+        RegisterHTMLHandler(adaptor);
+        svgMath = { adaptor, document: mathjax.document('', { InputJax: new MathML(), OutputJax: new SVG({ fontCache: 'none' }) }) };
+    }
+    const container = svgMath.document.convert(mathml, { display });
+    const svg = svgMath.adaptor.firstChild(container);
+    const markup = svgMath.adaptor.outerHTML(svg);
+    if (markup.includes('data-mml-node="merror"')) {
+        throw new Error('MathJax could not render the MathML');
+    }
+    return markup;
+}
+
+// Table of contents entries from every TOC provider are normalized to the same tree:
+// { title, number, text, slug, url, children }, where text is the title without its number.
+const tocNode = ({ title, number = null, text = null, url = null, children = [] }) => ({
+    title,
+    number,
+    text: text || title,
+    slug: url ? slugify(new URL(url).pathname.split('/').pop()) : slugify(title),
+    url,
+    children
+});
+
+// Reads a TOC rendered as HTML, either the flat `.os-number` / `.os-text` / `ol.no-bullets` sibling markup
+// of the REX sidebar or nested lists (ol > li > details > summary + ol)
+function tocNodesFromHtml(tableOfContentsRaw, pageUrl) {
+
+    function nextSiblingWithClass(el, className) {
+        let sibling = el.nextElementSibling;
+        while (sibling) {
+            if (sibling.classList.contains(className)) {
+                return sibling;
+            }
+            sibling = sibling.nextElementSibling;
+        }
+        return null; // Not found
+    }
+
+    const linkNode = (link) => tocNode({
+        title: link.textContent.trim(),
+        number: link.querySelector('.os-number')?.textContent.trim() || null,
+        text: link.querySelector('.os-text')?.textContent.trim() || null,
+        url: link.href
+    });
+
+    const listNodes = (list) => [...list.children].filter(li => li.tagName === 'LI').map(li => {
+        const nested = li.querySelector('ol, ul');
+        const heading = li.querySelector('summary') || [...li.querySelectorAll('a')].find(a => !nested?.contains(a));
+        if (!heading) return null;
+        if (!nested) return linkNode(heading);
+        return tocNode({
+            title: heading.textContent.trim(),
+            number: heading.querySelector('.os-number')?.textContent.trim() || null,
+            text: heading.querySelector('.os-text')?.textContent.trim() || null,
+            children: listNodes(nested)
+        });
+    }).filter(Boolean);
+
+    const document = new JSDOM(tableOfContentsRaw, { url: pageUrl }).window.document;
+    const root = document.querySelector('.table-of-contents') || document.querySelector('nav[data-testid="toc"]') || document.body;
+
+    if (!root.querySelector(':scope > .os-number')) {
+        const list = root.matches('ol, ul') ? root : root.querySelector('ol, ul');
+        return list ? listNodes(list) : [];
+    }
+
+    // Flat markup: each .os-number starts a chapter; links outside the chapter lists are single pages
+    const entries = [];
+    const chapterLinks = new Set();
+    root.querySelectorAll(':scope > .os-number').forEach(el => {
+        const number = el.textContent.trim();
+        const text = nextSiblingWithClass(el, 'os-text')?.textContent.trim() || null;
+        const links = [...(nextSiblingWithClass(el, 'no-bullets')?.querySelectorAll('li a') || [])];
+        links.forEach(link => chapterLinks.add(link));
+        entries.push({ el, node: tocNode({ title: `${number} ${text}`, number, text, children: links.map(linkNode) }) });
+    });
+    root.querySelectorAll('a[href]').forEach(link => {
+        if (!chapterLinks.has(link)) entries.push({ el: link, node: linkNode(link) });
+    });
+    return entries
+        .sort((a, b) => (a.el.compareDocumentPosition(b.el) & a.el.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+        .map(entry => entry.node);
+}
+
+// Reads the book tree used by the REX reader and the OpenStax archive, whose titles are HTML like
+// <span class="os-number">1</span><span class="os-divider"> </span><span class="os-text">Introduction</span>
+function tocNodesFromBookTree(contents, bookUrl) {
+    return contents.map(entry => {
+        const title = JSDOM.fragment(`<span>${entry.title}</span>`).firstChild;
+        return tocNode({
+            title: title.textContent.trim(),
+            number: title.querySelector('.os-number')?.textContent.trim() || null,
+            text: title.querySelector('.os-text')?.textContent.trim() || null,
+            url: entry.contents ? null : `${bookUrl}/pages/${entry.slug}`,
+            children: entry.contents ? tocNodesFromBookTree(entry.contents, bookUrl) : []
+        });
+    });
+}
+
+const bookUrlFor = (pageUrl) => {
+    const slug = bookSlugFromUrl(pageUrl);
+    return slug ? `${new URL(pageUrl).origin}/books/${slug}` : pageUrl;
+};
+
+// REX pages are server-rendered with the reader's Redux state, whose book holds its title, slug, license and tree
+const preloadedBook = (html) => {
+    const json = html.match(/__PRELOADED_STATE__\s*=\s*(\{[\s\S]*?\})\s*;?\s*<\/script>/)?.[1];
+    return (json && JSON.parse(json).content?.book) || null;
+};
+
+async function tocFromPreloadedState(pageUrl, signal, allowedHosts) {
+    const contents = preloadedBook(await fetchCachedText(pageUrl, signal, allowedHosts))?.tree?.contents;
+    return contents ? tocNodesFromBookTree(contents, bookUrlFor(pageUrl)) : [];
+}
+
+// The archive serves the same tree as JSON: the CMS gives the book's uuid, REX's release file its version and archive path
+async function tocFromArchive(pageUrl, signal, allowedHosts) {
+    const origin = new URL(pageUrl).origin;
+    const slug = bookSlugFromUrl(pageUrl);
+    if (!slug) return [];
+    const book = JSON.parse(await fetchCachedText(`${origin}/apps/cms/api/books/${slug}`, signal, allowedHosts));
+    const release = JSON.parse(await fetchCachedText(`${origin}/rex/release.json`, signal, allowedHosts));
+    const version = release.books?.[book.cnx_id]?.defaultVersion;
+    if (!book.cnx_id || !version || !release.archiveUrl) return [];
+    const archive = JSON.parse(await fetchCachedText(`${origin}${release.archiveUrl}/contents/${book.cnx_id}@${version}.json`, signal, allowedHosts));
+    return tocNodesFromBookTree(archive.tree?.contents || [], bookUrlFor(pageUrl));
+}
+
+async function tocFromRenderedHtml(pageUrl, signal, allowedHosts) {
+    return tocNodesFromHtml(await fetchCachedText(pageUrl, signal, allowedHosts), pageUrl);
+}
+
+async function tocFromBrowser(pageUrl, signal, allowedHosts) {
+    const tableOfContentsRaw = await tocLimit(() => {
+        signal?.throwIfAborted();
+        return getTableOfContents(pageUrl, allowedHosts);
+    });
+    return tocNodesFromHtml(tableOfContentsRaw, pageUrl);
+}
+
+// Tried in order until one returns entries; the headless browser is the slow, memory hungry last resort
+const TOC_PROVIDERS = [
+    ['preloaded state', tocFromPreloadedState],
+    ['archive', tocFromArchive],
+    ['rendered HTML', tocFromRenderedHtml],
+    ['headless browser', tocFromBrowser]
+];
+
+async function loadTableOfContents(pageUrl, signal, allowedHosts = null) {
+    for (const [name, provider] of TOC_PROVIDERS) {
+        signal?.throwIfAborted();
+        try {
+            const nodes = await provider(pageUrl, signal, allowedHosts);
+            if (nodes.length) {
+                console.log(`Table of contents for ${pageUrl} read from ${name}`);
+                return nodes;
+            }
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn(`Could not read the table of contents from ${name}: ${error.message}`);
+        }
+    }
+    throw new Error(`Could not read the table of contents of ${pageUrl}`);
+}
+
+// Turns the TOC tree into front matter, parts (OpenStax chapters) holding their sections, and back matter.
+// Units (unit -> chapter -> section) don't exist in Pressbooks, so their chapters become parts that remember the unit.
+function buildTocModel(nodes) {
+    const frontMatter = [];
+    const parts = [];
+    const backMatter = [];
+    const matterPages = [];
+
+    const flattenPages = (children) => children.flatMap(child => child.children.length ? flattenPages(child.children) : [child]);
+
+    const addPart = (chapter, unit = null) => {
+        const subsections = [];
+        flattenPages(chapter.children).forEach(page => {
+            // Answer keys and appendices nested in a chapter belong in the back matter
+            if (matterTypeForPage(page)) {
+                matterPages.push({ page, afterChapters: true });
+                return;
+            }
+            subsections.push({ title: page.title, url: page.url, slug: page.slug });
+        });
+        parts.push({
+            number: chapter.number,
+            title: chapter.text,
+            unit: unit && { number: unit.number, title: unit.text },
+            subsections,
+            slug: slugify(chapter.number || chapter.text)
+        });
+    };
+
+    nodes.forEach(node => {
+        const afterChapters = parts.length > 0;
+        if (!node.children.length) {
+            matterPages.push({ page: node, afterChapters });
+        } else if (node.children.some(child => child.children.length)) {
+            node.children.forEach(child => child.children.length
+                ? addPart(child, node)
+                : matterPages.push({ page: child, afterChapters: parts.length > 0 }));
+        } else if (!node.number && (/answer key|appendi/i.test(node.title) || node.children.every(child => matterTypeForPage(child)))) {
+            node.children.forEach(page => matterPages.push({ page, afterChapters }));
+        } else {
+            addPart(node);
+        }
+    });
+
+    matterPages.forEach(({ page, afterChapters }) => {
+        const matterType = matterTypeForPage(page) || { postType: afterChapters ? 'back-matter' : 'front-matter', type: 'miscellaneous' };
+        const item = {
+            title: matterType.answerKey ? `Answer Key: ${page.title}` : page.title,
+            url: page.url,
+            slug: matterType.answerKey ? `answer-key-${page.slug}` : page.slug,
+            type: matterType.type
+        };
+        (matterType.postType === 'front-matter' ? frontMatter : backMatter).push(item);
+    });
+
+    return numberTocModel({ frontMatter, parts, backMatter });
+}
+
+// Assigns WXR post ids and menu order: id 1 is the book information post, then ids run on in book order
+// (front matter, each part followed by its chapters, back matter), so no book is too long for its ids
+function numberTocModel({ frontMatter, parts, backMatter }) {
+    let nextId = 2;
+    const numbered = (item, order) => ({ ...item, id: nextId++, order });
+    return {
+        frontMatter: frontMatter.map(numbered),
+        parts: parts.map((part, partIndex) => ({
+            ...numbered(part, partIndex),
+            subsections: part.subsections.map(numbered)
+        })),
+        backMatter: backMatter.map(numbered)
+    };
+}
+
+// Keeps, orders and renames only the content an instructor picked. A selection mirrors the TOC model:
+// { frontMatter: [{ url, title }], parts: [{ slug, title, chapters: [{ url, title }] }], backMatter: [{ url, title }] },
+// where pages are identified by their OpenStax URL and parts by their slug. Titles are optional.
+function applyTocSelection(toc, selection) {
+    const pages = new Map([
+        ...toc.frontMatter.map(item => [item.url, item]),
+        ...toc.parts.flatMap(part => part.subsections).map(chapter => [chapter.url, chapter]),
+        ...toc.backMatter.map(item => [item.url, item])
+    ]);
+    const partsBySlug = new Map(toc.parts.map(part => [part.slug, part]));
+
+    const pick = (entry) => {
+        const page = pages.get(entry?.url);
+        if (!page) {
+            throw new Error(`Selected page is not in the table of contents: ${entry?.url}`);
+        }
+        const { id, order, ...rest } = page;
+        // Attribution keeps naming the page as OpenStax does
+        return { ...rest, title: entry.title?.trim() || page.title, sourceTitle: page.sourceTitle || page.title };
+    };
+
+    return numberTocModel({
+        frontMatter: (selection.frontMatter || []).map(pick),
+        parts: (selection.parts || []).map(entry => {
+            const part = partsBySlug.get(entry?.slug);
+            if (!part) {
+                throw new Error(`Selected part is not in the table of contents: ${entry?.slug}`);
+            }
+            return { ...part, title: entry.title?.trim() || part.title, subsections: (entry.chapters || []).map(pick) };
+        }),
+        backMatter: (selection.backMatter || []).map(pick)
+    });
+}
+
+// A source is where a conversion reads a book from:
+// { slug, url, localImages, tableOfContents(signal), metadata(signal), pageHtml(page, signal), image(url, signal),
+// ownsImage(url) }. tableOfContents() returns TOC nodes (see tocNode), pageHtml() a page as REX renders it (content
+// in main.page-content, absolute image URLs) and image() the { data, contentType } of one of those images.
+// ownsImage() is optional and true for image URLs the source reads itself rather than from the web; any
+// other image has to be on an allowed host.
+// Pages are identified by their URL on the book's site. Sources with localImages address images the
+// published book can't link to, so their images are always bundled. sources.js has the adapters for archives
+// and saved books; this one reads a REX site (openstax.org or another host running the same reader), fetching
+// only from allowedHosts (null for any host).
+const rexSource = (pageUrl, { allowedHosts = null } = {}) => ({
+    slug: bookSlugFromUrl(pageUrl),
+    url: bookUrlFor(pageUrl),
+    localImages: false,
+    // Every page of a book shares one TOC, so it is cached per book
+    tableOfContents: async (signal) => JSON.parse(await cachedText(`toc-tree:${bookUrlFor(pageUrl)}`,
+        async () => JSON.stringify(await loadTableOfContents(pageUrl, signal, allowedHosts)), signal)),
+    metadata: (signal) => getBookMetadata(pageUrl, signal, allowedHosts),
+    pageHtml: (page, signal) => fetchCachedText(page.url, signal, allowedHosts),
+    image: (url, signal) => downloadImage(url, signal, allowedHosts)
+});
+
+const sourceFor = (input, allowedHosts = null) => (typeof input === 'string' ? rexSource(input, { allowedHosts }) : input);
+
+// Reads the table of contents model of a book, from the URL of one of its pages or a source
+async function getBookTableOfContents(input, signal) {
+    return buildTocModel(await sourceFor(input).tableOfContents(signal));
+}
+
+// Scrapes an OpenStax book, given the URL of one of its pages or a source, and converts it for Pressbooks.
+// onProgress receives { stage, pagesDone, pagesTotal, failures } updates; aborting signal cancels the scrape.
+async function scrapeOpenStax(input, {
+    bundleImages = false,
+    mediaBaseUrl = 'images/',
+    attributionTemplate = DEFAULT_ATTRIBUTION_TEMPLATE,
+    calloutMappings = defaultCalloutMappings,
+    selection = null,
+    mathOutput = 'latex',
+    previousWxr = null,
+    allowedHosts = null,
+    maxPages = Infinity,
+    maxBytes = Infinity,
+    onProgress = () => {},
+    signal: jobSignal
+} = {}) {
+    // Reading more than maxBytes of pages and images aborts the conversion like a cancel, with the limit as reason
+    const limits = new AbortController();
+    const signal = jobSignal ? AbortSignal.any([jobSignal, limits.signal]) : limits.signal;
+    let bytesRead = 0;
+    const countBytes = (bytes) => {
+        bytesRead += bytes;
+        if (bytesRead > maxBytes && !limits.signal.aborted) {
+            limits.abort(new Error(`The conversion read more than its limit of ${Number((maxBytes / 1024 / 1024).toFixed(2))} MB of pages and images`));
+        }
+    };
+
+    const source = sourceFor(input, allowedHosts);
+    const bundle = bundleImages || source.localImages;
+    const progress = { stage: 'toc', pagesDone: 0, pagesTotal: 0, failures: [] };
+    const conversionReport = createConversionReport(source.url, mathOutput);
+    const reportProgress = (update = {}) => {
+        Object.assign(progress, update);
+        onProgress({ ...progress, failures: [...progress.failures] });
+    };
+    reportProgress();
+
+    // Read the previous export up front so a bad file fails the conversion before anything is fetched
+    const previousItems = previousWxr ? readWxrItems(previousWxr) : null;
+
+    // Read the OpenStax Table of Contents, keeping only the selected content when there is a selection
+    const fullToc = await getBookTableOfContents(source, signal);
+    const toc = selection ? applyTocSelection(fullToc, selection) : fullToc;
+    signal?.throwIfAborted();
+    const bookMetadata = await source.metadata(signal);
+
+    const pagePaths = pressbooksPaths(toc);
+    if (mathOutput === 'svg') await setUpMathSpeech();
+    const pageCount = toc.frontMatter.length + toc.backMatter.length
+        + toc.parts.reduce((count, part) => count + part.subsections.length, 0);
+    if (pageCount > maxPages) {
+        throw new Error(`The conversion has ${pageCount} pages, more than its limit of ${maxPages}; choose fewer chapters`);
+    }
+    conversionReport.pages.total = pageCount;
+    reportProgress({ stage: 'pages', pagesTotal: pageCount });
+
+    // Figure images downloaded for the media bundle, keyed by their source URL
+    const media = [];
+    const mediaBySource = new Map();
+    const mediaFilenames = new Set();
+
+    // Reads one OpenStax page from the source and converts its main content to Pressbooks-ready HTML
+    const convertPage = (subsection, chapterNumber, imagePrefix) =>
+        fetchLimit(async () => {
+            signal?.throwIfAborted();
+            try {
+                const html = await source.pageHtml(subsection, signal);
+                countBytes(Buffer.byteLength(html));
+                const dom = new JSDOM(html);
+
+                const figures = dom.window.document.querySelectorAll('.os-figure');
+                const figureImages = [];
+                figures.forEach((figure) => {
+                    // The caption number reads "Figure 1.3"; keep only the number itself
+                    const figureNumber = figure.querySelector('.os-caption-container .os-number')?.textContent.trim().split(/\s+/).pop();
+                    const imgs = [...figure.querySelectorAll('img')];
+                    // Figures are never decorative, so images without usable alt text take it from the caption
+                    const caption = figure.querySelector('.os-caption-container');
+                    const captionText = caption ? captionAltText(caption) : '';
+                    imgs.filter(needsAltText).forEach(img => {
+                        if (!captionText) return;
+                        img.setAttribute('alt', captionText);
+                        conversionReport.accessibility.fixed.altText++;
+                    });
+                    imgs.forEach((img, i) => {
+                        const dataSrc = img.getAttribute('data-lazy-src') || img.getAttribute('src');
+                        if (dataSrc) {
+                            img.setAttribute('src', new URL(dataSrc, subsection.url).href);
+                            // Figures with several images get a letter suffix: figure-1-3a, figure-1-3b, ...
+                            const number = figureNumber && imgs.length > 1 ? `${figureNumber}${String.fromCharCode(97 + i)}` : figureNumber;
+                            figureImages.push({ img, figureNumber: number });
+                        }
+                    });
+                    figure.classList.add('wp-caption', 'aligncenter');
+
+                    if (caption) {
+
+                        const figcaption = dom.window.document.createElement('figcaption');
+                        figcaption.classList.add('wp-caption-text');
+                        figcaption.innerHTML = caption.innerHTML.replaceAll(/\n/g, '').trim();
+                        figure.appendChild(figcaption);
+                        figure.removeChild(caption);
+                    }
+                });
+
+                if (bundle) {
+                    await Promise.all(figureImages.map(({ img, figureNumber }, i) => imageLimit(async () => {
+                        const sourceUrl = img.getAttribute('src');
+                        try {
+                            let entry = mediaBySource.get(sourceUrl);
+                            if (!entry) {
+                                if (!source.ownsImage?.(sourceUrl) && !isAllowedUrl(sourceUrl, allowedHosts)) {
+                                    throw new Error('the image is not on an allowed host');
+                                }
+                                const baseName = figureImageName(imagePrefix, figureNumber, subsection.slug, i + 1);
+                                // Reserve the entry before downloading so figures sharing an image reuse one file
+                                entry = source.image(sourceUrl, signal).then(({ data, contentType }) => {
+                                    countBytes(data.length);
+                                    let filename = `${baseName}.${imageExtension(sourceUrl, contentType)}`;
+                                    for (let n = 2; mediaFilenames.has(filename); n++) {
+                                        filename = `${baseName}-${n}.${imageExtension(sourceUrl, contentType)}`;
+                                    }
+                                    mediaFilenames.add(filename);
+                                    const image = {
+                                        filename,
+                                        sourceUrl,
+                                        chapter: chapterNumber,
+                                        section: subsection.title,
+                                        figure: figureNumber || null,
+                                        alt: img.getAttribute('alt') || '',
+                                        data
+                                    };
+                                    media.push(image);
+                                    return image;
+                                });
+                                mediaBySource.set(sourceUrl, entry);
+                            }
+                            const { filename } = await entry;
+                            img.setAttribute('src', `${mediaBaseUrl}${filename}`);
+                        } catch (error) {
+                            // Leave the absolute URL in place so a published figure still renders
+                            console.error(`Error downloading image ${sourceUrl}:`, error);
+                        }
+                    })));
+                }
+
+                // Wraps an element's content in a Pressbooks textbox with a header
+                const makeTextbox = (el, textboxClass, title) => {
+                    el.classList.add('textbox', textboxClass);
+                    const headerElement = dom.window.document.createElement('header');
+                    headerElement.classList.add('textbox__header');
+                    const titleElement = dom.window.document.createElement('h2');
+                    titleElement.classList.add('textbox__title');
+                    titleElement.textContent = title;
+                    headerElement.appendChild(titleElement);
+
+                    const textboxContent = dom.window.document.createElement('div');
+                    textboxContent.classList.add('textbox__content');
+                    textboxContent.append(...el.childNodes);
+                    el.appendChild(headerElement);
+                    el.appendChild(textboxContent);
+                };
+
+                // Moves a solution into a collapsed <details> block
+                const collapseSolution = (solution, label) => {
+                    if (solution.closest('details')) return;
+                    const details = dom.window.document.createElement('details');
+                    const summary = dom.window.document.createElement('summary');
+                    summary.textContent = label;
+                    solution.replaceWith(details);
+                    details.appendChild(summary);
+                    details.appendChild(solution);
+                };
+
+                // Turn OpenStax feature boxes into Pressbooks textboxes; the first mapping matching an element wins
+                const convertedCallouts = new Set();
+                calloutMappings.forEach((mapping) => {
+                    dom.window.document.querySelectorAll(mapping.selector).forEach((el) => {
+                        if (convertedCallouts.has(el)) return;
+                        convertedCallouts.add(el);
+
+                        if (mapping.fallback) {
+                            const calloutType = [...el.classList].find(cls => !cls.startsWith('os-')) || '(untyped)';
+                            const callout = conversionReport.unrecognizedCallouts[calloutType] ||= { count: 0, pages: new Set() };
+                            callout.count++;
+                            callout.pages.add(subsection.url);
+                        }
+
+                        // Remove the original header; its text can become the textbox title
+                        const heading = el.querySelector(':scope > header, :scope > h2, :scope > h3, :scope > h4, :scope > .os-title');
+                        const headingText = heading?.textContent.replace(/\s+/g, ' ').trim();
+                        heading?.remove();
+                        makeTextbox(el, `textbox--${mapping.textbox}`, (mapping.titleFrom === 'header' && headingText) || mapping.title);
+
+                        const textboxContent = el.querySelector(':scope > .textbox__content');
+                        if (mapping.collapse === 'solutions') {
+                            const label = mapping.collapseLabel || 'Show Solution';
+                            textboxContent.querySelectorAll('[data-type="solution"]').forEach(solution => collapseSolution(solution, label));
+                            textboxContent.querySelectorAll('details').forEach(details => {
+                                const summary = details.querySelector(':scope > summary');
+                                if (summary) {
+                                    summary.textContent = label;
+                                } else {
+                                    const summaryElement = dom.window.document.createElement('summary');
+                                    summaryElement.textContent = label;
+                                    details.insertBefore(summaryElement, details.firstChild);
+                                }
+                            });
+                        } else if (mapping.collapse === 'content') {
+                            const details = dom.window.document.createElement('details');
+                            const summary = dom.window.document.createElement('summary');
+                            summary.textContent = mapping.collapseLabel || 'Show More';
+                            details.appendChild(summary);
+                            details.append(...textboxContent.childNodes);
+                            textboxContent.appendChild(details);
+                        }
+                    });
+                });
+
+                END_OF_CHAPTER_SECTIONS.forEach(({ selector, title, textbox }) => {
+                    dom.window.document.querySelectorAll(selector).forEach(section => {
+                        // The baked section title is replaced by the textbox title
+                        section.querySelector(':scope > h2, :scope > h3, :scope > .os-title')?.remove();
+                        makeTextbox(section, textbox, title);
+                    });
+                });
+
+                // Collapse solutions printed with their exercises
+                dom.window.document.querySelectorAll('[data-type="exercise"] [data-type="solution"]').forEach(solution => collapseSolution(solution, 'Show Solution'));
+
+                // Exercises and solutions keep their ids so answer keys and problems can link to each other
+                const anchoredElements = new Set(dom.window.document.querySelectorAll('[data-type="exercise"], [data-type="problem"], [data-type="solution"]'));
+
+                const keyTermLists = [...dom.window.document.querySelectorAll(`${KEY_TERMS_SELECTOR} dl`)];
+
+                // Mark terms in the text; key terms lists themselves are the definitions, not uses
+                dom.window.document.querySelectorAll('[data-type="term"]').forEach(term => {
+                    if (term.closest(KEY_TERMS_SELECTOR)) return;
+                    term.replaceWith(
+                        dom.window.document.createTextNode(glossaryPlaceholder(term.textContent)),
+                        ...term.childNodes,
+                        dom.window.document.createTextNode('[/pb_glossary]')
+                    );
+                });
+
+                const mainContent = dom.window.document.querySelector('main.page-content');
+                if (!mainContent) {
+                    throw new Error(`No page content found at ${subsection.url}`);
+                }
+
+                if (!mainContent.textContent.trim() && !mainContent.querySelector('img')) {
+                    conversionReport.pages.empty++;
+                    conversionReport.emptyPages.push({ title: subsection.title, url: subsection.url });
+                }
+
+                mainContent.querySelectorAll(STRIPPED_ELEMENTS.join(',')).forEach((el) => {
+                    const src = el.getAttribute('src') || el.getAttribute('data') || null;
+                    conversionReport.strippedElements.push({ page: subsection.title, url: subsection.url, element: el.tagName.toLowerCase(), src });
+                    // Keep a way to reach embedded interactives
+                    if (src && ['iframe', 'object', 'embed'].includes(el.tagName.toLowerCase())) {
+                        const link = dom.window.document.createElement('a');
+                        link.href = new URL(src, subsection.url).href;
+                        link.textContent = el.getAttribute('title') || 'View interactive content';
+                        const paragraph = dom.window.document.createElement('p');
+                        paragraph.appendChild(link);
+                        el.replaceWith(paragraph);
+                    } else {
+                        el.remove();
+                    }
+                });
+
+                improveAccessibility(mainContent, subsection, conversionReport).forEach(el => anchoredElements.add(el));
+
+                // Links to pages in this conversion (other sections, figures, tables, equations) point at the page's
+                // Pressbooks permalink; the ids they target are collected so they survive the id cleanup
+                const links = [];
+                mainContent.querySelectorAll('a[href]').forEach(link => {
+                    const href = link.getAttribute('href');
+                    if (/^(mailto|tel|javascript):/i.test(href)) return;
+                    let target;
+                    try {
+                        target = new URL(href, subsection.url);
+                    } catch {
+                        return;
+                    }
+                    const samePage = target.pathname === new URL(subsection.url).pathname;
+                    // A link to a fragment of this page keeps only the fragment; one to the page itself gets its path
+                    const path = samePage && target.hash.length > 1 ? '' : pagePaths.get(`${target.origin}${target.pathname}`);
+                    if (path === undefined) {
+                        // Anything else, including book pages left out of the conversion, stays on openstax.org
+                        link.setAttribute('href', target.href);
+                        if (target.href.startsWith(`${bookMetadata.url}/pages/`)) {
+                            conversionReport.links.outsideConversion.push({ page: subsection.title, url: subsection.url, href: target.href });
+                        }
+                        return;
+                    }
+                    link.setAttribute('href', `${path}${target.hash}`);
+                    conversionReport.links.internal++;
+                    if (target.hash.length > 1) {
+                        links.push({ url: samePage ? subsection.url : `${target.origin}${target.pathname}`, id: decodeURIComponent(target.hash.slice(1)) });
+                    }
+                });
+
+                // Create attribution
+                const attrHr = dom.window.document.createElement('hr');
+                mainContent.appendChild(attrHr);
+                const attributionDiv = dom.window.document.createElement('div');
+                attributionDiv.innerHTML = renderAttribution(attributionTemplate, bookMetadata, { ...subsection, title: subsection.sourceTitle || subsection.title });
+                mainContent.appendChild(attributionDiv);
+
+                const keptIds = new Set();
+                [...mainContent.querySelectorAll('*')].forEach((el) => {
+                    el.removeAttribute('tabindex');
+
+                    // Remove data-* attributes
+                    for (const attr of [...el.attributes]) {
+                        if (attr.name.startsWith('data-')) {
+                            el.removeAttribute(attr.name);
+                        }
+                    }
+
+                    // Clean class
+                    if (el.hasAttribute('class')) {
+                        const classes = el.className.split(/\s+/).filter(Boolean);
+                        const keepClass = (cls) => usedClasses.has(cls) || CONVERTER_CLASSES.test(cls);
+                        const filtered = classes.filter(keepClass);
+                        classes.filter((cls) => !keepClass(cls)).forEach((cls) => {
+                            conversionReport.removedClasses[cls] = (conversionReport.removedClasses[cls] || 0) + 1;
+                        });
+
+                        if (filtered.length) {
+                            el.className = filtered.join(' ');
+                        } else {
+                            el.removeAttribute('class');
+                        }
+                    }
+
+                    // Ids stay until every page's links are known; see pruneIds()
+                    if (el.id && (usedIds.has(el.id) || anchoredElements.has(el))) {
+                        keptIds.add(el.id);
+                    }
+                });
+
+                // Math is written out as mathOutput asks, falling back to cleaned MathML when it can't be converted.
+                // Display math keeps its own centred line in every mode.
+                const mathSerializer = new dom.window.XMLSerializer();
+                let equationCount = 0;
+                [...mainContent.querySelectorAll('math')].forEach(mathEl => {
+                    const display = isDisplayMath(mathEl);
+                    const mathClone = cleanMathML(mathEl);
+                    const mathml = mathSerializer.serializeToString(mathClone);
+                    const keepMathML = (reason) => {
+                        if (reason) conversionReport.math.failed.push({ page: subsection.title, url: subsection.url, mathml, reason });
+                        mathEl.replaceWith(mathClone);
+                    };
+
+                    if (mathOutput === 'mathml') {
+                        conversionReport.math.converted++;
+                        return keepMathML();
+                    }
+
+                    const wrapper = dom.window.document.createElement('span');
+                    if (mathEl.id) wrapper.id = mathEl.id;
+                    if (display) wrapper.setAttribute('style', 'display: block; text-align: center;');
+                    if (mathOutput === 'svg') {
+                        let svg;
+                        try {
+                            svg = renderMathSvg(mathml, display);
+                        } catch (error) {
+                            return keepMathML(error.message);
+                        }
+                        // Alt text is read aloud, so it's the expression in words rather than its LaTeX
+                        const alt = mathEl.getAttribute('alttext')?.trim() || mathSpeech(mathml) || mathTokenText(mathEl);
+                        if (!alt) {
+                            conversionReport.accessibility.issues.push({
+                                page: subsection.title,
+                                url: subsection.url,
+                                criterion: '1.1.1 Non-text Content',
+                                issue: 'Equation image has no alt text: the expression could not be read out',
+                                element: mathml.slice(0, 200)
+                            });
+                        }
+                        if (bundle) {
+                            let filename = `${imagePrefix}-${subsection.slug}-equation-${++equationCount}.svg`;
+                            for (let n = 2; mediaFilenames.has(filename); n++) {
+                                filename = `${imagePrefix}-${subsection.slug}-equation-${equationCount}-${n}.svg`;
+                            }
+                            mediaFilenames.add(filename);
+                            media.push({ filename, sourceUrl: subsection.url, chapter: chapterNumber, section: subsection.title, figure: null, equation: equationCount, alt, data: Buffer.from(svg) });
+                            const img = dom.window.document.createElement('img');
+                            img.src = `${mediaBaseUrl}${filename}`;
+                            img.alt = alt;
+                            // Keep MathJax's ex-based size and baseline so the image lines up with the text
+                            const size = svg.match(/^<svg style="vertical-align: ([^;"]+);?" [^>]*width="([^"]+)" height="([^"]+)"/);
+                            if (size) img.setAttribute('style', `vertical-align: ${size[1]}; width: ${size[2]}; height: ${size[3]};`);
+                            wrapper.appendChild(img);
+                        } else {
+                            wrapper.innerHTML = svg;
+                            const svgEl = wrapper.firstElementChild;
+                            svgEl.setAttribute('aria-label', alt);
+                            const title = dom.window.document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                            title.textContent = alt;
+                            svgEl.prepend(title);
+                        }
+                    } else {
+                        let latex = null;
+                        let latexError = null;
+                        try {
+                            latex = MathMLToLaTeX.convert(mathml);
+                            latexError = latexProblem(mathEl, latex);
+                        } catch (error) {
+                            latexError = error.message;
+                        }
+                        if (latexError) return keepMathML(latexError);
+                        wrapper.textContent = `[latex]${display ? `\\displaystyle ${latex}` : latex}[/latex]`;
+                    }
+                    conversionReport.math.converted++;
+                    mathEl.replaceWith(wrapper);
+                });
+
+                // Serialize the modified main content back to HTML
+                const serializer = new dom.window.XMLSerializer();
+                const html2 = serializer.serializeToString(mainContent).replace(/^\s*(&nbsp;|\s)+|(&nbsp;|\s)+\s*$/g, '');
+
+                // Key terms become glossary entries: <dt> is the term, the following <dd> its definition. The glossary
+                // post is another page, so links to a fragment of this one get its permalink, and keep their target id.
+                const definition = (dd) => {
+                    const copy = dd.cloneNode(true);
+                    copy.querySelectorAll('a[href^="#"]').forEach(link => {
+                        const hash = link.getAttribute('href');
+                        if (hash.length < 2) return;
+                        link.setAttribute('href', `${pagePaths.get(subsection.url)}${hash}`);
+                        links.push({ url: subsection.url, id: decodeURIComponent(hash.slice(1)) });
+                    });
+                    return serializer.serializeToString(copy).replace(/^<dd[^>]*>|<\/dd>$/g, '');
+                };
+                const glossary = keyTermLists.flatMap(list => [...list.querySelectorAll('dt')].map(dt => ({
+                    term: dt.textContent.trim(),
+                    definition: dt.nextElementSibling?.tagName === 'DD' ? definition(dt.nextElementSibling) : ''
+                }))).filter(entry => entry.term);
+
+                conversionReport.pages.converted++;
+                reportProgress({ pagesDone: progress.pagesDone + 1 });
+                return { ...subsection, content: html2, glossary, keptIds, links };
+            } catch (error) {
+                if (signal.aborted) throw limits.signal.aborted ? limits.signal.reason : error;
+                console.error(`Error fetching ${subsection.url}:`, error);
+                progress.failures.push({ url: subsection.url, title: subsection.title, reason: error.message });
+                conversionReport.pages.failed++;
+                conversionReport.failedPages.push({ title: subsection.title, url: subsection.url, reason: error.message });
+                reportProgress({ pagesDone: progress.pagesDone + 1 });
+                return { ...subsection, content: '', glossary: [] };
+            }
+        });
+
+    const chaptersWithHtml = await Promise.all(
+        toc.parts.map(async (chapter) => {
+            const imagePrefix = `chapter-${slugify(chapter.number)}`;
+            chapter.subsections = await Promise.all(chapter.subsections.map((subsection) => convertPage(subsection, chapter.number, imagePrefix)));
+            return chapter;
+        })
+    );
+    const frontMatter = await Promise.all(toc.frontMatter.map((item) => convertPage(item, null, item.slug)));
+    const backMatter = await Promise.all(toc.backMatter.map((item) => convertPage(item, null, item.slug)));
+
+    const pages = [...frontMatter, ...chaptersWithHtml.flatMap(part => part.subsections), ...backMatter];
+
+    // Drop every id nothing links to (and default.css doesn't style), now that links from all pages are known
+    const linkedIds = new Map(pages.map(page => [page.url, new Set(page.keptIds)]));
+    const allLinks = pages.flatMap(page => (page.links || []).map(link => ({ ...link, from: page })));
+    allLinks.forEach(link => linkedIds.get(link.url)?.add(link.id));
+    const foundIds = new Map(pages.map(page => {
+        const { content, found } = pruneIds(page.content, linkedIds.get(page.url));
+        page.content = content;
+        // Key term definitions are copied out of the page and get the same cleanup
+        page.glossary.forEach(entry => {
+            entry.definition = pruneIds(entry.definition, linkedIds.get(page.url)).content;
+        });
+        return [page.url, found];
+    }));
+    allLinks.filter(link => !foundIds.get(link.url)?.has(link.id)).forEach(link => {
+        conversionReport.links.brokenAnchors.push({ page: link.from.title, url: link.from.url, target: `${link.url}#${link.id}` });
+    });
+
+    // Every key term gets a glossary post, numbered after all other posts; the first definition of a term wins
+    const glossary = [];
+    const glossaryIds = new Map();
+    let glossaryId = Math.max(...pages.map(page => page.id), ...chaptersWithHtml.map(part => part.id)) + 1;
+    pages.flatMap(page => page.glossary).forEach(({ term, definition }) => {
+        if (glossaryIds.has(normalizeTerm(term))) return;
+        glossaryIds.set(normalizeTerm(term), glossaryId);
+        glossary.push({ id: glossaryId++, term, slug: slugify(term), definition, order: glossary.length });
+    });
+    pages.forEach(page => {
+        page.content = linkGlossaryTerms(page.content, glossaryIds);
+    });
+    if (glossary.length) {
+        backMatter.push({ title: 'Glossary', slug: 'glossary', type: 'glossary', content: '[pb_glossary]', id: glossaryId++, order: backMatter.length });
+    }
+
+    reportProgress({ stage: 'building' });
+    const book = { ...bookMetadata, frontMatter, parts: chaptersWithHtml, backMatter, glossary };
+    if (previousItems) {
+        conversionReport.resync = resyncBook(book, previousItems);
+    }
+
+    return { book, media, report: finalizeConversionReport(conversionReport) };
+}
+
+export {
+    scrapeOpenStax,
+    buildPressbooksXML,
+    emptyPagesError,
+    getBookMetadata,
+    getBookTableOfContents,
+    MATH_OUTPUTS,
+    applyTocSelection,
+    defaultCalloutMappings,
+    validateCalloutMappings,
+    resolveCalloutMappings,
+    DEFAULT_ATTRIBUTION_TEMPLATE,
+    WXR_POST_STATUSES,
+    isAllowedUrl,
+    closeBrowser,
+    // for the WXR checks in validation.js
+    STRIPPED_ELEMENTS,
+    // for the input adapters in sources.js
+    rexSource,
+    tocNode,
+    tocNodesFromHtml,
+    tocNodesFromBookTree,
+    preloadedBook,
+    bookUrlFor,
+    completeBookMetadata,
+    pageBookMetadata,
+    downloadImage,
+    slugify
+};
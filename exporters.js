@@ -0,0 +1,398 @@
+import { readFileSync } from 'fs';
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { create } from 'xmlbuilder2';
+import he from 'he';
+import JSZip from 'jszip';
+import { buildPressbooksXML } from './converter.js';
+import { validateWxr } from './validation.js';
+
+// Exporters turn a converted book ({ book, media, report } from scrapeOpenStax) into files. Each one has:
+//   name         - label for the UI
+//   localImages  - whether figure images have to be downloaded and packaged (sets bundleImages)
+//   mathOutputs  - the math outputs the format can show, when not all of them (see mathOutputFor)
+//   archive      - { extension, type } when the files are zipped into one file (EPUB, cartridge), otherwise
+//                  they are a folder, downloaded as a ZIP with the conversion report
+//   build        - (conversion, options) => [{ path, data }]; options are per export, e.g. the WXR's
+//                  postStatus and postDate
+
+const MEDIA_TYPES = { jpg: 'image/jpeg', png: 'image/png', gif: 'image/gif', svg: 'image/svg+xml', webp: 'image/webp' };
+const MATHJAX_SCRIPT = '<script src="https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js" async></script>';
+
+// Pressbooks theme styles, reused by the HTML based exports
+let stylesheet = null;
+const defaultStylesheet = () => stylesheet ??= readFileSync(new URL('./default.css', import.meta.url), 'utf-8');
+
+const mediaType = (filename) => MEDIA_TYPES[filename.split('.').pop().toLowerCase()] || 'application/octet-stream';
+const imageFiles = (media, folder = '') => media.map(image => ({ path: `${folder}images/${image.filename}`, data: image.data }));
+
+// Every page in reading order, with the Pressbooks post type it was converted for
+function bookPages(book) {
+    return [
+        ...book.frontMatter.map(item => ({ ...item, postType: 'front-matter' })),
+        ...book.parts.flatMap(part => part.subsections.map(chapter => ({ ...chapter, postType: 'chapter', part }))),
+        ...book.backMatter.map(item => ({ ...item, postType: 'back-matter' }))
+    ];
+}
+
+// File name of a page in an export, by its slug. A page named like one of the export's own files (the HTML
+// site's index.html, the EPUB's nav.xhtml) gets another name so it doesn't overwrite it.
+const pageFileName = (extension, reserved = []) => (slug) =>
+    reserved.includes(slug) ? `${slug}-page${extension}` : `${slug}${extension}`;
+
+// Page content with the Pressbooks-only parts replaced: permalinks between pages become links between files
+// (named by fileName), [pb_glossary] shortcodes link to (or, on the glossary page, become) the glossary list, and
+// [latex] shortcodes become MathJax delimiters
+function portableContent(book, content, fileName) {
+    const glossaryById = new Map((book.glossary || []).map(entry => [String(entry.id), entry]));
+    const glossaryList = `<dl class="glossary">${(book.glossary || []).map(entry =>
+        `<dt id="term-${entry.slug}">${he.escape(entry.term)}</dt><dd>${entry.definition}</dd>`).join('')}</dl>`;
+    return content
+        .replace(/href="\.\.\/\.\.\/(?:front-matter|chapter|back-matter)\/([^/"]+)\/(#[^"]*)?"/g, (match, slug, hash = '') => `href="${fileName(slug)}${hash}"`)
+        .replace(/\[pb_glossary id="(\d+)"\]([\s\S]*?)\[\/pb_glossary\]/g, (match, id, text) =>
+            glossaryById.has(id) ? `<a href="${fileName('glossary')}#term-${glossaryById.get(id).slug}">${text}</a>` : text)
+        .replace('[pb_glossary]', glossaryList)
+        .replace(/\[latex\]([\s\S]*?)\[\/latex\]/g, (match, latex) => `\\(${latex}\\)`);
+}
+
+const needsMathJax = (content) => content.includes('\\(') || content.includes('<math');
+
+// Standalone HTML page; `before` and `after` hold extra markup such as navigation
+const htmlPage = (book, page, content, { stylesheetPath, before = '', after = '' }) => `<!DOCTYPE html>
+<html lang="${book.language || 'en'}">
+<head>
+<meta charset="utf-8" />
+<title>${he.escape(page.title)} - ${he.escape(book.title)}</title>
+<link rel="stylesheet" href="${stylesheetPath}" />
+${needsMathJax(content) ? MATHJAX_SCRIPT : ''}
+</head>
+<body>
+${before}<div class="${page.postType}">
+<h1>${he.escape(page.title)}</h1>
+${content}
+</div>
+${after}</body>
+</html>
+`;
+
+const wxrExporter = {
+    name: 'Pressbooks WXR',
+    localImages: false,
+    archive: null,
+    build({ book, media, report }, { postStatus, postDate } = {}) {
+        const xml = buildPressbooksXML(book, { postStatus, postDate });
+        // Checked before anyone downloads it; the result goes into the report written alongside
+        report.validation = validateWxr(xml, { existingIds: book.existingIds });
+        // A re-sync export only needs the images its posts use. The whole book goes next to it, with every post
+        // id, so the next re-sync can compare against it.
+        const exportedMedia = book.onlyIds ? media.filter(image => xml.includes(image.filename)) : media;
+        const files = [
+            { path: 'pressbooks.xml', data: xml },
+            ...(book.onlyIds ? [{ path: 'pressbooks-full.xml', data: buildPressbooksXML(book, { postStatus, postDate, full: true }) }] : [])
+        ];
+        if (!exportedMedia.length) return files;
+        const manifest = exportedMedia.map(({ data, ...entry }) => entry);
+        return [
+            ...files,
+            ...imageFiles(exportedMedia),
+            { path: 'manifest.json', data: JSON.stringify(manifest, null, 2) }
+        ];
+    }
+};
+
+const htmlExporter = {
+    name: 'Static HTML site',
+    localImages: true,
+    archive: null,
+    build({ book, media }) {
+        const pages = bookPages(book);
+        const fileName = pageFileName('.html', ['index']);
+        const navigation = (index) => {
+            const links = [
+                pages[index - 1] && `<a href="${fileName(pages[index - 1].slug)}" rel="prev">Previous: ${he.escape(pages[index - 1].title)}</a>`,
+                '<a href="index.html">Contents</a>',
+                pages[index + 1] && `<a href="${fileName(pages[index + 1].slug)}" rel="next">Next: ${he.escape(pages[index + 1].title)}</a>`
+            ].filter(Boolean);
+            return `<nav aria-label="Book navigation">${links.join(' | ')}</nav>\n`;
+        };
+        const entry = (page) => `<li><a href="${fileName(page.slug)}">${he.escape(page.title)}</a></li>`;
+        const contents = [
+            ...book.frontMatter.map(entry),
+            ...book.parts.map(part => `<li>${he.escape(part.title)}<ol>${part.subsections.map(entry).join('')}</ol></li>`),
+            ...book.backMatter.map(entry)
+        ].join('\n');
+        const index = `<!DOCTYPE html>
+<html lang="${book.language || 'en'}">
+<head>
+<meta charset="utf-8" />
+<title>${he.escape(book.title)}</title>
+<link rel="stylesheet" href="style.css" />
+</head>
+<body>
+<h1>${he.escape(book.title)}</h1>
+<p>${he.escape(book.authors.join(', '))}</p>
+${book.license.url ? `<p>Licensed under <a href="${he.escape(book.license.url)}">${he.escape(book.license.name || book.license.url)}</a>.</p>` : ''}
+<nav aria-label="Table of contents">
+<ol>
+${contents}
+</ol>
+</nav>
+</body>
+</html>
+`;
+        return [
+            { path: 'index.html', data: index },
+            { path: 'style.css', data: defaultStylesheet() },
+            ...pages.map((page, i) => ({
+                path: fileName(page.slug),
+                data: htmlPage(book, page, portableContent(book, page.content, fileName), { stylesheetPath: 'style.css', before: navigation(i), after: navigation(i) })
+            })),
+            ...imageFiles(media)
+        ];
+    }
+};
+
+// LaTeX would need MathJax, which most e-readers don't run, so EPUB math is MathML or SVG
+const epubExporter = {
+    name: 'EPUB 3',
+    localImages: true,
+    mathOutputs: ['mathml', 'svg'],
+    archive: { extension: 'epub', type: 'application/epub+zip' },
+    build({ book, media }) {
+        const fileName = pageFileName('.xhtml', ['nav']);
+        const pages = bookPages(book).map(page => ({ ...page, content: portableContent(book, page.content, fileName) }));
+        const xhtml = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${book.language || 'en'}" xml:lang="${book.language || 'en'}">
+<head>
+<meta charset="utf-8" />
+<title>${he.escape(title)}</title>
+<link rel="stylesheet" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+        const entry = (page) => `<li><a href="${fileName(page.slug)}">${he.escape(page.title)}</a></li>`;
+        const nav = xhtml(book.title, `<nav epub:type="toc" id="toc">
+<h1>${he.escape(book.title)}</h1>
+<ol>
+${[
+        ...book.frontMatter.map(entry),
+        ...book.parts.map(part => `<li><span>${he.escape(part.title)}</span><ol>${part.subsections.map(entry).join('')}</ol></li>`),
+        ...book.backMatter.map(entry)
+    ].join('\n')}
+</ol>
+</nav>`);
+
+        // Reading systems want to know up front which pages hold MathML, SVG or resources from the web
+        const properties = (content) => [
+            content.includes('<math') && 'mathml',
+            content.includes('<svg') && 'svg',
+            /src="https?:/.test(content) && 'remote-resources'
+        ].filter(Boolean).join(' ') || undefined;
+        const opf = create({
+            package: {
+                '@xmlns': 'http://www.idpf.org/2007/opf',
+                '@version': '3.0',
+                '@unique-identifier': 'book-id',
+                '@xml:lang': book.language || 'en',
+                metadata: {
+                    '@xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+                    'dc:identifier': { '@id': 'book-id', '#': book.url },
+                    'dc:title': book.title,
+                    'dc:language': book.language || 'en',
+                    'dc:creator': book.authors,
+                    'dc:publisher': 'OpenStax',
+                    ...(book.license.url && { 'dc:rights': `${book.license.name || ''} ${book.license.url}`.trim() }),
+                    'dc:source': book.url,
+                    meta: { '@property': 'dcterms:modified', '#': new Date().toISOString().replace(/\.\d+Z$/, 'Z') }
+                },
+                manifest: {
+                    item: [
+                        { '@id': 'nav', '@href': 'nav.xhtml', '@media-type': 'application/xhtml+xml', '@properties': 'nav' },
+                        { '@id': 'style', '@href': 'style.css', '@media-type': 'text/css' },
+                        ...pages.map(page => ({
+                            '@id': `page-${page.id}`,
+                            '@href': fileName(page.slug),
+                            '@media-type': 'application/xhtml+xml',
+                            ...(properties(page.content) && { '@properties': properties(page.content) })
+                        })),
+                        ...media.map((image, i) => ({ '@id': `image-${i + 1}`, '@href': `images/${image.filename}`, '@media-type': mediaType(image.filename) }))
+                    ]
+                },
+                spine: { itemref: pages.map(page => ({ '@idref': `page-${page.id}` })) }
+            }
+        }).end({ prettyPrint: true });
+
+        return [
+            {
+                path: 'META-INF/container.xml',
+                data: create({
+                    container: {
+                        '@version': '1.0',
+                        '@xmlns': 'urn:oasis:names:tc:opendocument:xmlns:container',
+                        rootfiles: { rootfile: { '@full-path': 'OEBPS/content.opf', '@media-type': 'application/oebps-package+xml' } }
+                    }
+                }).end({ prettyPrint: true })
+            },
+            { path: 'OEBPS/content.opf', data: opf },
+            { path: 'OEBPS/nav.xhtml', data: nav },
+            { path: 'OEBPS/style.css', data: defaultStylesheet() },
+            ...pages.map(page => ({
+                path: `OEBPS/${fileName(page.slug)}`,
+                data: xhtml(page.title, `<section class="${page.postType}" epub:type="${page.postType === 'chapter' ? 'chapter' : page.postType.replace('-matter', 'matter')}">
+<h1>${he.escape(page.title)}</h1>
+${page.content}
+</section>`)
+            })),
+            ...imageFiles(media, 'OEBPS/')
+        ];
+    }
+};
+
+// IMS Common Cartridge 1.1: every page is a web content resource, organized as parts -> chapters, which
+// Brightspace, Canvas and Moodle import as content modules
+const commonCartridgeExporter = {
+    name: 'IMS Common Cartridge',
+    localImages: true,
+    archive: { extension: 'imscc', type: 'application/zip' },
+    build({ book, media }) {
+        const pages = bookPages(book);
+        const fileName = pageFileName('.html');
+        const pageFile = (page) => `web_resources/${fileName(page.slug)}`;
+        const item = (page) => ({ '@identifier': `item-${page.id}`, '@identifierref': `resource-${page.id}`, title: page.title });
+        const manifest = create({
+            manifest: {
+                '@identifier': `cartridge-${book.slug}`,
+                '@xmlns': 'http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1',
+                '@xmlns:lomimscc': 'http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest',
+                '@xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+                '@xsi:schemaLocation': 'http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1 http://www.imsglobal.org/profile/cc/ccv1p1/ccv1p1_imscp_v1p2_v1p0.xsd',
+                metadata: {
+                    schema: 'IMS Common Cartridge',
+                    schemaversion: '1.1.0',
+                    'lomimscc:lom': {
+                        'lomimscc:general': {
+                            'lomimscc:title': { 'lomimscc:string': { '@language': book.language || 'en', '#': book.title } }
+                        }
+                    }
+                },
+                organizations: {
+                    organization: {
+                        '@identifier': 'organization',
+                        '@structure': 'rooted-hierarchy',
+                        item: {
+                            '@identifier': 'root',
+                            item: [
+                                ...book.frontMatter.map(item),
+                                ...book.parts.map(part => ({ '@identifier': `item-${part.id}`, title: part.title, item: part.subsections.map(item) })),
+                                ...book.backMatter.map(item)
+                            ]
+                        }
+                    }
+                },
+                resources: {
+                    resource: [
+                        ...pages.map(page => ({
+                            '@identifier': `resource-${page.id}`,
+                            '@type': 'webcontent',
+                            '@href': pageFile(page),
+                            file: { '@href': pageFile(page) },
+                            ...(media.length && { dependency: { '@identifierref': 'resource-images' } })
+                        })),
+                        {
+                            '@identifier': 'resource-style',
+                            '@type': 'webcontent',
+                            '@href': 'web_resources/style.css',
+                            file: { '@href': 'web_resources/style.css' }
+                        },
+                        ...(media.length ? [{
+                            '@identifier': 'resource-images',
+                            '@type': 'webcontent',
+                            file: media.map(image => ({ '@href': `web_resources/images/${image.filename}` }))
+                        }] : [])
+                    ]
+                }
+            }
+        }).end({ prettyPrint: true });
+
+        return [
+            { path: 'imsmanifest.xml', data: manifest },
+            { path: 'web_resources/style.css', data: defaultStylesheet() },
+            ...pages.map(page => ({
+                path: pageFile(page),
+                data: htmlPage(book, page, portableContent(book, page.content, fileName), { stylesheetPath: 'style.css' })
+            })),
+            ...imageFiles(media, 'web_resources/')
+        ];
+    }
+};
+
+const EXPORTERS = {
+    wxr: wxrExporter,
+    epub: epubExporter,
+    imscc: commonCartridgeExporter,
+    html: htmlExporter
+};
+
+const exporterFor = (format) => {
+    if (!Object.hasOwn(EXPORTERS, format)) {
+        throw new Error(`Unknown output format "${format}", expected one of: ${Object.keys(EXPORTERS).join(', ')}`);
+    }
+    return EXPORTERS[format];
+};
+
+// The math output to convert with for a format: the one asked for where the format can show it, otherwise
+// the format's first choice
+const mathOutputFor = (format, mathOutput = 'latex') => {
+    const { mathOutputs } = exporterFor(format);
+    return !mathOutputs || mathOutputs.includes(mathOutput) ? mathOutput : mathOutputs[0];
+};
+
+// The single file a conversion is downloaded as: the archive itself, the WXR alone when it has no images,
+// or a ZIP of the exported folder and the conversion report. options.signal stops it between steps.
+async function exportConversion(conversion, format = 'wxr', options = {}) {
+    const { signal } = options;
+    const exporter = exporterFor(format);
+    signal?.throwIfAborted();
+    const files = exporter.build(conversion, options);
+    signal?.throwIfAborted();
+    if (format === 'wxr' && files.length === 1) {
+        return { type: 'application/xml', filename: 'pressbooks.xml', data: files[0].data };
+    }
+    const zip = new JSZip();
+    if (exporter.archive?.type === 'application/epub+zip') {
+        // EPUB readers look for an uncompressed mimetype entry at the very start of the file
+        zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    }
+    files.forEach(file => zip.file(file.path, file.data));
+    if (!exporter.archive) {
+        zip.file('report.json', JSON.stringify(conversion.report, null, 2));
+    }
+    const data = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    signal?.throwIfAborted();
+    return exporter.archive
+        ? { type: exporter.archive.type, filename: `${conversion.book.slug}.${exporter.archive.extension}`, data }
+        : { type: 'application/zip', filename: format === 'wxr' ? 'pressbooks.zip' : `${conversion.book.slug}-${format}.zip`, data };
+}
+
+// Writes a conversion to a folder: folder exports as their files, archives as <book>.<extension>,
+// always next to report.json
+async function writeConversion(outDir, conversion, format = 'wxr', options = {}) {
+    const exporter = exporterFor(format);
+    let files;
+    if (exporter.archive) {
+        const { filename, data } = await exportConversion(conversion, format, options);
+        files = [{ path: filename, data }];
+    } else {
+        files = exporter.build(conversion, options);
+    }
+    for (const file of [...files, { path: 'report.json', data: JSON.stringify(conversion.report, null, 2) }]) {
+        await fs.promises.mkdir(dirname(join(outDir, file.path)), { recursive: true });
+        await fs.promises.writeFile(join(outDir, file.path), file.data);
+    }
+}
+
+export { EXPORTERS, mathOutputFor, exportConversion, writeConversion };
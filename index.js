@@ -1,484 +1,563 @@
 import express from 'express';
-import { JSDOM } from 'jsdom';
-import { create } from 'xmlbuilder2';
-import { readFileSync } from 'fs';
-import { resolve } from 'path';
-import fs from 'fs';
 import pLimit from 'p-limit';
-import { text } from 'stream/consumers';
-import he from 'he';
-import css from 'css';
-import { MathMLToLaTeX } from 'mathml-to-latex';
-import puppeteer from 'puppeteer';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import {
+    scrapeOpenStax,
+    emptyPagesError,
+    getBookTableOfContents,
+    MATH_OUTPUTS,
+    defaultCalloutMappings,
+    validateCalloutMappings,
+    resolveCalloutMappings,
+    DEFAULT_ATTRIBUTION_TEMPLATE,
+    WXR_POST_STATUSES,
+    isAllowedUrl,
+    closeBrowser
+} from './converter.js';
+import { EXPORTERS, mathOutputFor, exportConversion } from './exporters.js';
+import { openSource } from './sources.js';
+import { validateWxr, validationError } from './validation.js';
 
 const app = express();
 const PORT = 3000;
 
+// Hosts (and their subdomains) books may be converted from, comma separated; * allows any http(s) host
+const ALLOWED_HOSTS = process.env.ALLOWED_HOSTS === '*'
+    ? null
+    : (process.env.ALLOWED_HOSTS || 'openstax.org').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// Requests a client may make per RATE_LIMIT_WINDOW_MS to the endpoints that start work; 0 turns the limit off
+const RATE_LIMIT = Number(process.env.RATE_LIMIT ?? 20);
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS ?? 60 * 1000);
+// Largest conversion a job may run: pages after the chapter selection, and MB of pages and images read
+const MAX_PAGES_PER_JOB = Number(process.env.MAX_PAGES_PER_JOB ?? 2000);
+const MAX_MB_PER_JOB = Number(process.env.MAX_MB_PER_JOB ?? 1024);
+// Uploaded archives are held in memory until they expire: MB one client may have uploaded at once, and MB in all
+const MAX_UPLOAD_MB_PER_CLIENT = Number(process.env.MAX_UPLOAD_MB_PER_CLIENT ?? 500);
+const MAX_UPLOAD_MB_TOTAL = Number(process.env.MAX_UPLOAD_MB_TOTAL ?? 2048);
+// Finished jobs kept for download; past either limit the oldest are dropped before their JOB_TTL_MS is up
+const MAX_FINISHED_JOBS = Number(process.env.MAX_FINISHED_JOBS ?? 100);
+const MAX_RESULTS_MB = Number(process.env.MAX_RESULTS_MB ?? 1024);
+const MB = 1024 * 1024;
+// Bearer token for the /debug endpoints, which don't exist without one
+const DEBUG_TOKEN = process.env.DEBUG_TOKEN || null;
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or loopback) makes req.ip the client's address for rate limiting
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // setup static pages in public folder
 app.use(express.static('public'));
+// Large enough for a previous WXR export sent for re-sync
+app.use(express.json({ limit: '50mb' }));
 
-const cssText = readFileSync(resolve('./default.css'), 'utf-8');
-const usedClasses = new Set();
-const usedIds = new Set();
-
-// Parse CSS selectors
-const ast = css.parse(cssText);
-for (const rule of ast.stylesheet.rules) {
-    if (rule.type === 'rule') {
-        for (const selector of rule.selectors) {
-            const matches = selector.match(/([.#])([\w-]+)/g);
-            if (matches) {
-                matches.forEach((m) => {
-                    if (m.startsWith('.')) usedClasses.add(m.slice(1));
-                    if (m.startsWith('#')) usedIds.add(m.slice(1));
-                });
-            }
-        }
-    }
-}
+// Largest WXR file POST /validate accepts
+const WXR_LIMIT = '50mb';
 
 const MAX_CONCURRENT_SCRAPES = 2;
 
-// Used to limit the number of concurrent scrape requests sent to the /scrape-openstax endpoint
+// Used to limit the number of conversion jobs that run at once; the rest wait in its queue
 const scrapeLimit = pLimit(MAX_CONCURRENT_SCRAPES);
 
-// (global subsection limiter): limits how many chapter/subsection fetch+parse tasks run at once across all scrapes
-const fetchLimit = pLimit(3);
+process.on("SIGINT", async () => { await closeBrowser(); process.exit(0); });
+process.on("SIGTERM", async () => { await closeBrowser(); process.exit(0); });
 
-// ensures only 1 Puppeteer TOC run happens at a time
-const tocLimit = pLimit(1);
 
-let browserPromise = null;
+// Finished jobs (and their results) are kept this long for the client to download
+const JOB_TTL_MS = 30 * 60 * 1000;
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+const SSE_KEEP_ALIVE_MS = 20 * 1000;
+
+const jobs = new Map();
+// Uploaded book archives by id, kept as long as finished jobs
+const uploads = new Map();
+// ids of jobs waiting for a free scrapeLimit slot, oldest first
+const jobQueue = [];
+
+// Counters for GET /metrics; job durations are kept per finished status in DURATION_BUCKETS (seconds)
+const DURATION_BUCKETS = [10, 30, 60, 120, 300, 600, 1200, 1800];
+const metrics = {
+    jobsCreated: 0,
+    jobsFinished: { done: 0, failed: 0, cancelled: 0 },
+    durations: Object.fromEntries(FINISHED_STATUSES.map(status => [status, { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }])),
+    pagesFailed: 0,
+    rateLimited: 0
+};
 
-async function getBrowser() {
-  if (!browserPromise) {
-    browserPromise = puppeteer.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-      ],
+const observeDuration = (status, seconds) => {
+    const histogram = metrics.durations[status];
+    DURATION_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) histogram.buckets[i]++;
     });
-  }
-  return browserPromise;
-}
-
-async function closeBrowser() {
-  if (browserPromise) {
-    const browser = await browserPromise.catch(() => null);
-    browserPromise = null;
-    if (browser) await browser.close().catch(() => {});
-  }
-}
-
-process.on("SIGINT", async () => { await closeBrowser(); process.exit(0); });
-process.on("SIGTERM", async () => { await closeBrowser(); process.exit(0); });
+    histogram.sum += seconds;
+    histogram.count++;
+};
 
+// Fixed window request counts per client address
+const rateWindows = new Map();
+const rateLimit = (req, res, next) => {
+    if (!RATE_LIMIT) return next();
+    const now = Date.now();
+    let window = rateWindows.get(req.ip);
+    if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+        rateWindows.set(req.ip, window);
+    }
+    if (++window.count > RATE_LIMIT) {
+        metrics.rateLimited++;
+        res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+        return res.status(429).send('Too many requests; please try again later');
+    }
+    next();
+};
+setInterval(() => {
+    const now = Date.now();
+    rateWindows.forEach((window, ip) => {
+        if (window.resetAt <= now) rateWindows.delete(ip);
+    });
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+const allowedUrlError = () =>
+    `url must be an http(s) URL on ${ALLOWED_HOSTS ? ALLOWED_HOSTS.join(', ') : 'any host'}`;
+
+const jobSnapshot = (job) => ({
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    queuePosition: job.status === 'queued' ? jobQueue.indexOf(job.id) + 1 : 0,
+    progress: job.progress,
+    error: job.error,
+    hasReport: Boolean(job.report),
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+});
 
-async function getTableOfContents(pageUrl) {
+const notifyJob = (job) => {
+    const snapshot = jobSnapshot(job);
+    job.listeners.forEach(listener => listener(snapshot));
+};
 
-  const browser = await getBrowser();
-  const page = await browser.newPage();
+// Queue positions shift for everyone still waiting whenever a job leaves the queue
+const notifyQueuedJobs = () => {
+    jobQueue.forEach(id => notifyJob(jobs.get(id)));
+};
 
-  
-  try {
+const leaveQueue = (job) => {
+    const index = jobQueue.indexOf(job.id);
+    if (index !== -1) {
+        jobQueue.splice(index, 1);
+        notifyQueuedJobs();
+    }
+};
 
-      // Add interception here (before goto) to not scrape media, font, etc
-    await page.setRequestInterception(true);
-    page.on("request", (req) => {
-      const t = req.resourceType();
-      if (["image", "media", "font"].includes(t)) return req.abort();
-      req.continue();
-    });
-      
-    await page.goto(pageUrl, { waitUntil: "domcontentloaded" });
-
-    // Wait for the button and click it
-    await page.waitForSelector(".show-toc", { visible: true, timeout: 120000 });
-    await page.click(".show-toc");
-
-    // Optionally wait for content to appear
-    await page.waitForSelector(".table-of-contents", { visible: true, timeout: 120000 });
-
-    // Grab the HTML
-    return await page.$eval(".table-of-contents", (el) => el.outerHTML);
-    
-  } finally {
-    // Close page first (most important for RAM), then browser
-    if (page) await page.close().catch(() => {});
-    // await browser.close().catch(() => {});
-  }
-}
+const resultBytes = (job) => (job.result ? Buffer.byteLength(job.result.data) : 0);
+
+// Drops the oldest finished jobs, results and all, while there are more than MAX_FINISHED_JOBS or their results
+// take more than MAX_RESULTS_MB. The newest one always stays so its client can download it.
+const evictFinishedJobs = () => {
+    const finished = [...jobs.values()]
+        .filter(job => FINISHED_STATUSES.includes(job.status))
+        .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+    let bytes = finished.reduce((total, job) => total + resultBytes(job), 0);
+    while (finished.length > 1 && (finished.length > MAX_FINISHED_JOBS || bytes > MAX_RESULTS_MB * MB)) {
+        const job = finished.shift();
+        bytes -= resultBytes(job);
+        jobs.delete(job.id);
+    }
+};
 
-const buildPressbooksXML = (book) => {
-    const channelItems = [];
+const finishJob = (job, status, error = null) => {
+    metrics.jobsFinished[status]++;
+    if (job.startedAt) observeDuration(status, (Date.now() - job.startedAt) / 1000);
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    // The archive stays in uploads (until it expires) for further conversions, but the job no longer needs it
+    job.upload = null;
+    notifyJob(job);
+    evictFinishedJobs();
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+};
 
-    const taxonomy = {
-        'wp:term': {
-            'wp:term_id': 1,
-            'wp:term_taxonomy': 'chapter-type',
-            'wp:term_slug': 'standard',
-            'wp:term_name': 'Standard'
-        }
-    };
+async function runJob(job) {
+    leaveQueue(job);
+    if (job.status === 'cancelled') return;
 
-    book.forEach(part => {
-        console.log(`Processing part: ${part.title}`);
-        // Part
-        channelItems.push({
-            item: {
-                title: { '#cdata': part.title },
-                link: `https://example.pressbooks.pub/${book.slug}/part/${part.slug}/`,
-                pubDate: new Date().toUTCString(),
-                'dc:creator': 'admin',
-                guid: {
-                    '@isPermaLink': 'false',
-                    '#': `https://example.pressbooks.pub/${book.slug}/?p=${part.id}`
-                },
-                description: '',
-                'content:encoded': { '#cdata': '' },
-                'excerpt:encoded': { '#cdata': '' },
-                'wp:post_id': part.id,
-                'wp:post_date': '2025-06-30 00:00:00',
-                'wp:post_date_gmt': '2025-06-30 00:00:00',
-                'wp:post_name': part.slug,
-                'wp:status': 'publish',
-                'wp:post_parent': 0,
-                'wp:menu_order': part.order,
-                'wp:post_type': 'part',
-                'wp:is_sticky': 0
+    job.status = 'running';
+    job.startedAt = Date.now();
+    notifyJob(job);
+    try {
+        const source = await openSource(job.upload ? job.upload.data : job.url, job.upload?.name, { allowedHosts: ALLOWED_HOSTS });
+        const conversion = await scrapeOpenStax(source, {
+            ...job.options,
+            signal: job.controller.signal,
+            onProgress: (progress) => {
+                job.progress = progress;
+                notifyJob(job);
             }
         });
-
-        // Chapters in part
-        part.subsections.forEach(chapter => {
-            console.log(`Processing chapter: ${chapter.title}`);
-            channelItems.push({
-                item: {
-                    title: { '#cdata': chapter.title },
-                    link: `https://example.pressbooks.pub/${book.slug}/chapter/${chapter.slug}/`,
-                    pubDate: new Date().toUTCString(),
-                    'dc:creator': 'admin',
-                    guid: {
-                        '@isPermaLink': 'false',
-                        '#': `https://example.pressbooks.pub/${book.slug}/?p=${chapter.id}`
-                    },
-                    description: '',
-                    'content:encoded': { '#cdata': he.decode(chapter.content) },
-                    'excerpt:encoded': { '#cdata': '' },
-                    'wp:post_id': chapter.id,
-                    'wp:post_date': '2025-06-30 00:00:00',
-                    'wp:post_date_gmt': '2025-06-30 00:00:00',
-                    'wp:post_name': chapter.slug,
-                    'wp:status': 'web-only',
-                    'wp:post_parent': part.id,
-                    'wp:menu_order': chapter.order,
-                    'wp:post_type': 'chapter',
-                    'wp:is_sticky': 0,
-                    category: {
-                        '@domain': 'chapter-type',
-                        '@nicename': 'standard',
-                        '#': 'Standard'
-                    }
-                }
-            });
+        job.report = conversion.report;
+        metrics.pagesFailed += conversion.report.pages.failed;
+        job.controller.signal.throwIfAborted();
+        if (job.options.failOnEmpty && (conversion.report.failedPages.length || conversion.report.emptyPages.length)) {
+            return finishJob(job, 'failed', emptyPagesError(conversion.report));
+        }
+        const result = await exportConversion(conversion, job.options.format, {
+            postStatus: job.options.postStatus,
+            postDate: job.options.postDate,
+            signal: job.controller.signal
         });
-    });
-
-    const xmlObj = {
-        rss: {
-            '@version': '2.0',
-            '@xmlns:excerpt': 'http://wordpress.org/export/1.2/excerpt/',
-            '@xmlns:content': 'http://purl.org/rss/1.0/modules/content/',
-            '@xmlns:dc': 'http://purl.org/dc/elements/1.1/',
-            '@xmlns:wp': 'http://wordpress.org/export/1.2/',
-            channel: {
-                title: book.title,
-                link: `https://example.pressbooks.pub/${book.slug}`,
-                description: `Imported version of ${book.title}`,
-                language: 'en-US',
-                'wp:wxr_version': '1.2',
-                'wp:base_site_url': 'https://example.pressbooks.pub/',
-                'wp:base_blog_url': `https://example.pressbooks.pub/${book.slug}`,
-                ...taxonomy,
-                item: channelItems.map(i => i.item)
-            }
+        if (conversion.report.validation && !conversion.report.validation.valid) {
+            return finishJob(job, 'failed', validationError(conversion.report.validation));
         }
-    };
+        job.result = result;
+        finishJob(job, 'done');
+    } catch (error) {
+        if (job.controller.signal.aborted) {
+            finishJob(job, 'cancelled');
+        } else {
+            console.error('Error scraping OpenStax:', error);
+            finishJob(job, 'failed', `Error scraping OpenStax: ${error.message}`);
+        }
+    }
+}
+
+const uploadedBytes = (client = null) => [...uploads.values()]
+    .filter(upload => !client || upload.client === client)
+    .reduce((total, upload) => total + upload.data.length, 0);
 
-    const doc = create(xmlObj);
-    return doc.end({ prettyPrint: true });
+// Why another size bytes from client can't be stored right now, as { status, message }, or null when it can
+const uploadRefusal = (client, size) => {
+    if (uploadedBytes(client) + size > MAX_UPLOAD_MB_PER_CLIENT * MB) {
+        return { status: 413, message: `Uploads are limited to ${MAX_UPLOAD_MB_PER_CLIENT} MB per client at a time; wait for earlier uploads to expire` };
+    }
+    if (uploadedBytes() + size > MAX_UPLOAD_MB_TOTAL * MB) {
+        return { status: 503, message: 'The server is holding too many uploads; please try again later' };
+    }
+    return null;
 };
 
-async function scrapeOpenStax(pageUrl) {
+// Refuses an upload by its Content-Length before the body is read
+const checkUploadRoom = (req, res, next) => {
+    const refusal = uploadRefusal(req.ip, Number(req.get('content-length')) || 0);
+    if (refusal) return res.status(refusal.status).send(refusal.message);
+    next();
+};
 
-    function nextSiblingWithClass(el, className) {
-        let sibling = el.nextElementSibling;
-        while (sibling) {
-            if (sibling.classList.contains(className)) {
-                return sibling;
-            }
-            sibling = sibling.nextElementSibling;
-        }
-        return null; // Not found
-    }
-    // Scrape the OpenStax Table of Contents
-    const tableOfContentsRaw = await tocLimit(() => getTableOfContents(pageUrl));
-
-    const parser = new JSDOM(tableOfContentsRaw);
-    let currPartId = 100;
-    const chapters = Array.from(parser.window.document.querySelectorAll('.table-of-contents > .os-number')).map(el => {
-        const number = el.textContent.trim();
-        const id = currPartId;
-        const partSlug = number.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
-        const partOrder = currPartId - 100;
-        let currChapterId = currPartId + 1;
-        let currChapterOrder = 0;
-
-        const title = nextSiblingWithClass(el, 'os-text')?.textContent.trim();
-        const subsections = Array.from(nextSiblingWithClass(el, 'no-bullets').querySelectorAll('li')).map(subEl => {
-            const id = currChapterId++;
-            const subTitle = subEl.textContent.trim();
-            const url = subEl.querySelector('a')?.href || '';
-            const slug = url.split('/').pop().replace(/[^a-z0-9]+/gi, '-').toLowerCase();
-            const order = currChapterOrder++;
-            return { title: subTitle, url, id, slug, order };
+// Store a book archive (.zip of a CNXML book or saved REX pages) to convert with POST /jobs { upload: id }
+app.post('/uploads', rateLimit, checkUploadRoom, express.raw({ type: () => true, limit: MAX_UPLOAD_MB_PER_CLIENT * MB }), (req, res) => {
+    if (!req.body?.length) {
+        return res.status(400).send('Missing archive');
+    }
+    // Bodies sent without a Content-Length are only known once read
+    const refusal = uploadRefusal(req.ip, req.body.length);
+    if (refusal) {
+        return res.status(refusal.status).send(refusal.message);
+    }
+    const upload = { id: randomUUID(), name: String(req.query.name || 'upload.zip'), client: req.ip, data: req.body };
+    uploads.set(upload.id, upload);
+    setTimeout(() => uploads.delete(upload.id), JOB_TTL_MS).unref();
+    res.status(201).json({ id: upload.id, name: upload.name, size: upload.data.length });
+});
 
-        });
-        currPartId += 100;
-        return { id, number, title, subsections, slug: partSlug, order: partOrder };
-    });
+// Job options from the fields of POST /jobs, with the defaults for any left out. An uploaded archive counts
+// against the bytes the job may read.
+const jobOptions = ({ format = 'wxr', images, mediaBaseUrl, attribution, math, failOnEmpty, callouts, selection, previousWxr, postStatus, postDate } = {}, upload = null) => ({
+    format,
+    bundleImages: images === true || EXPORTERS[format].localImages,
+    // Only the WXR is imported somewhere else; the other formats carry their images next to the pages
+    mediaBaseUrl: (format === 'wxr' && mediaBaseUrl) || 'images/',
+    attributionTemplate: attribution || DEFAULT_ATTRIBUTION_TEMPLATE,
+    mathOutput: mathOutputFor(format, math || 'latex'),
+    failOnEmpty: failOnEmpty === true,
+    calloutMappings: resolveCalloutMappings(callouts),
+    selection: selection || null,
+    previousWxr: previousWxr || null,
+    postStatus: postStatus || 'web-only',
+    postDate: postDate || null,
+    allowedHosts: ALLOWED_HOSTS,
+    maxPages: MAX_PAGES_PER_JOB,
+    maxBytes: MAX_MB_PER_JOB * MB - (upload?.data.length || 0)
+});
 
-    // Scrape the OpenStax HTML content for each subsection
-    const fetchWithTimeout = async (url, timeoutMs = 5000) => {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-        try {
-            const response = await fetch(url, { signal: controller.signal });
-            clearTimeout(timeout);
-            return response;
-        } catch (error) {
-            clearTimeout(timeout);
-            throw error;
-        }
+const queueJob = (url, upload, options) => {
+    const job = {
+        id: randomUUID(),
+        url: upload ? upload.name : url,
+        upload,
+        options,
+        status: 'queued',
+        progress: null,
+        error: null,
+        result: null,
+        report: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        controller: new AbortController(),
+        listeners: new Set()
     };
+    jobs.set(job.id, job);
+    metrics.jobsCreated++;
+    jobQueue.push(job.id);
+    scrapeLimit(() => runJob(job));
+    return job;
+};
 
-    const chaptersWithHtml = await Promise.all(
-        chapters.map(async (chapter) => {
-            const subsectionPromises = chapter.subsections.map((subsection) =>
-                fetchLimit(async () => {
-                    try {
-                        const response = await fetchWithTimeout(subsection.url, 20000);
-                        if (!response.ok) {
-                            throw new Error(`Failed to fetch ${subsection.url}`);
-                        }
-
-                        const html = await response.text();
-                        const dom = new JSDOM(html);
-
-                        const figures = dom.window.document.querySelectorAll('.os-figure');
-                        figures.forEach((figure) => {
-                            const img = figure.querySelector('img');
-                            if (img) {
-                                const dataSrc = img.getAttribute('data-lazy-src') || img.getAttribute('src');
-                                if (dataSrc && !dataSrc.startsWith('http')) {
-                                    img.setAttribute('src', `https://openstax.org${dataSrc}`);
-                                }
-                            }
-                            figure.classList.add('wp-caption', 'aligncenter');
-
-                            const caption = figure.querySelector('.os-caption-container');
-                            if (caption) {
-
-                                const figcaption = dom.window.document.createElement('figcaption');
-                                figcaption.classList.add('wp-caption-text');
-                                figcaption.innerHTML = caption.innerHTML.replaceAll(/\n/g, '').trim();
-                                figure.appendChild(figcaption);
-                                figure.removeChild(caption);
-                            }
-                        });
-
-                        const learningObjectives = dom.window.document.querySelector('.learning-objectives');
-                        if (learningObjectives) {
-                            learningObjectives.classList.add('textbox', 'textbox--learning-objectives');
-                            const header = learningObjectives.querySelector('h2');
-                            if (header) {
-                                // Remove the original header and create a new structured header
-                                learningObjectives.removeChild(header);
-                            }
-                            const headerElement = dom.window.document.createElement('header');
-                            headerElement.innerHTML = '<h2 class="textbox__title">Learning Objectives</h2>';
-                            headerElement.classList.add('textbox__header');
-
-                            const textboxContent = dom.window.document.createElement('div');
-                            textboxContent.classList.add('textbox__content');
-                            textboxContent.innerHTML = learningObjectives.innerHTML;
-                            learningObjectives.innerHTML = '';
-                            learningObjectives.appendChild(headerElement);
-                            learningObjectives.appendChild(textboxContent);
-                        }
-
-                        const checkYourUnderstanding = dom.window.document.querySelectorAll('[data-element-type="check-understanding"]');
-
-                        checkYourUnderstanding.forEach((el) => {
-                            // similar to learning objectives, add classes and structure
-                            el.classList.add('textbox', 'textbox--exercises');
-                            const header = el.querySelector('header');
-                            if (header) {
-                                el.removeChild(header);
-                            }
-                            const headerElement = dom.window.document.createElement('header');
-                            headerElement.innerHTML = '<h2 class="textbox__title">Check Your Understanding</h2>';
-                            headerElement.classList.add('textbox__header');
-                            const details = el.querySelector('details');
-                            if (details) {
-                                const summary = details.querySelector('summary');
-                                if (summary) {
-                                    summary.innerHTML = 'Click for Solution';
-                                } else {
-                                    const summaryElement = dom.window.document.createElement('summary');
-                                    summaryElement.innerHTML = 'Click for Solution';
-                                    details.insertBefore(summaryElement, details.firstChild);
-                                }
-                            }
-                            const textboxContent = dom.window.document.createElement('div');
-                            textboxContent.classList.add('textbox__content');
-                            textboxContent.innerHTML = el.innerHTML;
-                            el.innerHTML = '';
-                            el.appendChild(headerElement);
-                            el.appendChild(textboxContent);
-                        });
-
-                        const notes = dom.window.document.querySelectorAll('[data-type="note"]');
-                        notes.forEach((note) => {
-                            note.classList.add('textbox', 'textbox--examples');
-                            const header = note.querySelector('header');
-                            if (header) {
-                                note.removeChild(header);
-                            }
-                            const headerElement = dom.window.document.createElement('header');
-                            headerElement.innerHTML = `<h2 class="textbox__title">${header.textContent}</h2>`;
-                            headerElement.classList.add('textbox__header');
-
-                            const textboxContent = dom.window.document.createElement('div');
-                            textboxContent.classList.add('textbox__content');
-                            textboxContent.innerHTML = note.innerHTML;
-                            note.innerHTML = '';
-                            note.appendChild(headerElement);
-                            note.appendChild(textboxContent);
-                        });
-
-                        const mainContent = dom.window.document.querySelector('main.page-content');
-
-                        // Create attribution
-                        const attrHr = dom.window.document.createElement('hr');
-                        mainContent.appendChild(attrHr);
-                        const originalPageURL = dom.window.document.createElement('a');
-                        originalPageURL.href = subsection.url;
-                        originalPageURL.textContent = subsection.title;
-                        const originalBookURL = dom.window.document.createElement('a');
-                        originalBookURL.href = 'https://openstax.org/books/college-physics-2e/';
-                        originalBookURL.textContent = 'College Physics 2e';
-                        const attributionDiv = dom.window.document.createElement('div');
-                        const licenseLink = dom.window.document.createElement('a');
-                        licenseLink.href = 'https://creativecommons.org/licenses/by/4.0/';
-                        licenseLink.textContent = 'Creative Commons Attribution 4.0 International License';
-                        attributionDiv.innerHTML = '"' + originalPageURL.outerHTML + '" from ' + originalBookURL.outerHTML + ' by OpenStax is licensed under a ' + licenseLink.outerHTML + '.';
-                        mainContent.appendChild(attributionDiv);
-
-                        [...mainContent.querySelectorAll('*')].forEach((el) => {
-                            el.removeAttribute('tabindex');
-
-                            // Remove data-* attributes
-                            for (const attr of [...el.attributes]) {
-                                if (attr.name.startsWith('data-')) {
-                                    el.removeAttribute(attr.name);
-                                }
-                            }
-
-                            // Clean class
-                            if (el.hasAttribute('class')) {
-                                const filtered = el.className
-                                    .split(/\s+/)
-                                    .filter((cls) => usedClasses.has(cls));
-
-                                if (filtered.length) {
-                                    el.className = filtered.join(' ');
-                                } else {
-                                    el.removeAttribute('class');
-                                }
-                            }
-
-                            // Clean id
-                            if (el.hasAttribute('id') && !usedIds.has(el.id)) {
-                                el.removeAttribute('id');
-                            }
-                        });
-
-                        const mathElements = mainContent.querySelectorAll('math');
-
-                        mathElements.forEach(mathEl => {
-
-                            const mathClone = mathEl.cloneNode(true);
-
-                            // Remove annotation-xml nodes to prevent duplication
-                            mathClone.querySelectorAll('annotation-xml').forEach(node => node.remove());
-
-                            const latex = MathMLToLaTeX.convert(he.decode(mathClone.outerHTML));
-
-                            const wrapper = dom.window.document.createElement('span');
-                            wrapper.textContent = `[latex]${latex}[/latex]`;
-                            mathEl.replaceWith(wrapper);
-                        });
-
-                        // Serialize the modified main content back to HTML
-                        const serializer = new dom.window.XMLSerializer();
-                        const html2 = serializer.serializeToString(mainContent).replace(/^\s*(&nbsp;|\s)+|(&nbsp;|\s)+\s*$/g, '');
-
-                        return { ...subsection, content: html2 };
-                    } catch (error) {
-                        console.error(`Error fetching ${subsection.url}:`, error);
-                        return { ...subsection, content: '' };
-                    }
-                })
-            );
-
-            chapter.subsections = await Promise.all(subsectionPromises);
-            return chapter;
-        })
-    );
-
-    const xml = buildPressbooksXML(chaptersWithHtml);
-
-    return xml;
-}
+const cancelJob = (job) => {
+    if (job.status === 'queued') {
+        leaveQueue(job);
+        finishJob(job, 'cancelled');
+    } else if (job.status === 'running') {
+        // runJob marks the job cancelled once the scrape unwinds
+        job.controller.abort();
+    }
+};
+
+// Create a conversion job: { url or upload, format, images, mediaBaseUrl, attribution, math, failOnEmpty, callouts, selection,
+// previousWxr, postStatus, postDate }
+app.post('/jobs', rateLimit, (req, res) => {
+    const { url: pageUrl, upload: uploadId, format = 'wxr', math, callouts, postStatus, postDate } = req.body || {};
+    if (!pageUrl && !uploadId) {
+        return res.status(400).send('Missing url or upload');
+    }
+    const upload = uploadId ? uploads.get(uploadId) : null;
+    if (uploadId && !upload) {
+        return res.status(400).send('Upload not found; it may have expired');
+    }
+    if (upload && upload.data.length >= MAX_MB_PER_JOB * MB) {
+        return res.status(413).send(`The upload is larger than the ${MAX_MB_PER_JOB} MB a job may read`);
+    }
+    if (!upload && !isAllowedUrl(pageUrl, ALLOWED_HOSTS)) {
+        return res.status(400).send(allowedUrlError());
+    }
+    if (!Object.hasOwn(EXPORTERS, format)) {
+        return res.status(400).send(`format must be one of: ${Object.keys(EXPORTERS).join(', ')}`);
+    }
+    if (math && !MATH_OUTPUTS.includes(math)) {
+        return res.status(400).send(`math must be one of: ${MATH_OUTPUTS.join(', ')}`);
+    }
+    if (postStatus && !WXR_POST_STATUSES.includes(postStatus)) {
+        return res.status(400).send(`postStatus must be one of: ${WXR_POST_STATUSES.join(', ')}`);
+    }
+    if (postDate && Number.isNaN(Date.parse(postDate))) {
+        return res.status(400).send('postDate must be a date, e.g. 2025-06-30 or 2025-06-30T09:00:00Z');
+    }
+    const calloutProblems = callouts ? validateCalloutMappings(callouts) : [];
+    if (calloutProblems.length) {
+        return res.status(400).json({ error: 'Invalid callout mappings', problems: calloutProblems });
+    }
+
+    const job = queueJob(pageUrl, upload, jobOptions(req.body, upload));
+    res.status(202).location(`/jobs/${job.id}`).json(jobSnapshot(job));
+});
 
-app.get('/scrape-openstax', async (req, res) => {
+// The original API, kept for existing callers: converts a book with the default options, waiting in the
+// queue like any job, and answers { xml }. New clients should use POST /jobs.
+app.get('/scrape-openstax', rateLimit, async (req, res) => {
     const pageUrl = req.query.url;
     if (!pageUrl) {
         return res.status(400).send('Missing url query parameter');
     }
+    if (!isAllowedUrl(pageUrl, ALLOWED_HOSTS)) {
+        return res.status(400).send(allowedUrlError());
+    }
+    res.set({ Deprecation: 'true', Link: '</jobs>; rel="successor-version"' });
 
-    // Limit Number of Scrapes that run at once.
-   
-    if(scrapeLimit.activeCount >= MAX_CONCURRENT_SCRAPES) {
-        return res.status(429).json({
-            queued: true,
-            message: 'The server is currently busy processing a few other OpenStax books. Please retry in ~30 seconds.',
-            retryAfterSeconds: 30
-        });
-    } 
-    try {
-        
-        const xml = await scrapeLimit(() => scrapeOpenStax(pageUrl));            
-        res.json({ xml });
+    const job = queueJob(pageUrl, null, jobOptions());
+    // A caller that gives up doesn't leave the conversion running
+    res.on('close', () => {
+        if (!res.writableFinished) cancelJob(job);
+    });
+    const finished = await new Promise((resolve) => {
+        const listener = (snapshot) => {
+            if (!FINISHED_STATUSES.includes(snapshot.status)) return;
+            job.listeners.delete(listener);
+            resolve(snapshot);
+        };
+        job.listeners.add(listener);
+    });
+    if (finished.status === 'done') {
+        res.json({ xml: job.result.data });
+    } else if (finished.status === 'failed') {
+        res.status(500).send('Error scraping OpenStax');
+    }
+});
 
+// Parsed table of contents, so a conversion can be limited to chosen parts and chapters
+app.get('/toc', rateLimit, async (req, res) => {
+    const { url: pageUrl, upload: uploadId } = req.query;
+    if (!pageUrl && !uploadId) {
+        return res.status(400).send('Missing url or upload query parameter');
+    }
+    const upload = uploadId ? uploads.get(uploadId) : null;
+    if (uploadId && !upload) {
+        return res.status(404).send('Upload not found');
+    }
+    if (!upload && !isAllowedUrl(pageUrl, ALLOWED_HOSTS)) {
+        return res.status(400).send(allowedUrlError());
+    }
+    try {
+        res.json(await getBookTableOfContents(await openSource(upload ? upload.data : pageUrl, upload?.name, { allowedHosts: ALLOWED_HOSTS })));
     } catch (error) {
-        console.error('Error scraping OpenStax:', error);
-        res.status(500).send('Error scraping OpenStax');
+        console.error('Error reading table of contents:', error);
+        res.status(500).send('Error reading table of contents');
+    }
+});
+
+// Check a WXR file (e.g. an earlier export, or one edited by hand) before importing it into Pressbooks
+app.post('/validate', rateLimit, express.text({ type: () => true, limit: WXR_LIMIT }), (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).send('Missing WXR file');
+    }
+    res.json(validateWxr(req.body));
+});
+
+// Output formats for the format field of POST /jobs
+app.get('/formats', (req, res) => {
+    res.json(Object.entries(EXPORTERS).map(([format, exporter]) => ({ format, name: exporter.name, localImages: exporter.localImages, mathOutputs: exporter.mathOutputs || MATH_OUTPUTS })));
+});
+
+// Default callout mappings, as a starting point for per-book overrides
+app.get('/callouts', (req, res) => {
+    res.json(defaultCalloutMappings);
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).send('Job not found');
     }
+    res.json(jobSnapshot(job));
+});
+
+// Server-Sent Events stream of job snapshots; closes once the job is finished
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).send('Job not found');
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Nothing is sent while a job waits in the queue, so a comment now and then keeps idle-timeout proxies
+    // from closing the stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEP_ALIVE_MS);
+    const send = (snapshot) => {
+        res.write(`event: status\ndata: ${JSON.stringify(snapshot)}\n\n`);
+        if (FINISHED_STATUSES.includes(snapshot.status)) {
+            clearInterval(keepAlive);
+            job.listeners.delete(send);
+            res.end();
+        }
+    };
+    job.listeners.add(send);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        job.listeners.delete(send);
+    });
+    send(jobSnapshot(job));
+});
+
+app.get('/jobs/:id/result', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).send('Job not found');
+    }
+    if (job.status !== 'done') {
+        return res.status(409).json(jobSnapshot(job));
+    }
+    res.attachment(job.result.filename).type(job.result.type).send(job.result.data);
+});
+
+// Conversion report of a finished job, also available when failOnEmpty failed the job
+app.get('/jobs/:id/report', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).send('Job not found');
+    }
+    if (!job.report) {
+        return res.status(409).json(jobSnapshot(job));
+    }
+    res.json(job.report);
+});
+
+app.delete('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).send('Job not found');
+    }
+    cancelJob(job);
+    res.json(jobSnapshot(job));
+});
+
+// Liveness check for load balancers and orchestrators
+app.get('/healthz', (req, res) => {
+    res.json({
+        status: 'ok',
+        uptime: Math.round(process.uptime()),
+        jobs: { queued: jobQueue.length, running: [...jobs.values()].filter(job => job.status === 'running').length }
+    });
+});
+
+// One metric in the Prometheus text format; samples are [labels, value, name suffix] (the suffix for histograms)
+const prometheusMetric = (name, type, help, samples) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(([labels, value, suffix = '']) => {
+        const labelText = Object.entries(labels).map(([key, label]) => `${key}="${label}"`).join(',');
+        return `${name}${suffix}${labelText ? `{${labelText}}` : ''} ${value}`;
+    })
+].join('\n');
+
+app.get('/metrics', (req, res) => {
+    const running = [...jobs.values()].filter(job => job.status === 'running').length;
+    const durationSamples = Object.entries(metrics.durations).flatMap(([status, histogram]) => [
+        ...DURATION_BUCKETS.map((bound, i) => [{ status, le: bound }, histogram.buckets[i], '_bucket']),
+        [{ status, le: '+Inf' }, histogram.count, '_bucket'],
+        [{ status }, histogram.sum, '_sum'],
+        [{ status }, histogram.count, '_count']
+    ]);
+    const memory = process.memoryUsage();
+    const text = [
+        prometheusMetric('openstax_jobs_created_total', 'counter', 'Conversion jobs created.', [[{}, metrics.jobsCreated]]),
+        prometheusMetric('openstax_jobs_finished_total', 'counter', 'Conversion jobs finished, by status.',
+            Object.entries(metrics.jobsFinished).map(([status, count]) => [{ status }, count])),
+        prometheusMetric('openstax_jobs_running', 'gauge', 'Conversion jobs running now.', [[{}, running]]),
+        prometheusMetric('openstax_job_queue_depth', 'gauge', 'Conversion jobs waiting for a free slot.', [[{}, jobQueue.length]]),
+        prometheusMetric('openstax_job_duration_seconds', 'histogram', 'Time from a job starting to run until it finished, by status.', durationSamples),
+        prometheusMetric('openstax_pages_failed_total', 'counter', 'Book pages that failed to convert.', [[{}, metrics.pagesFailed]]),
+        prometheusMetric('openstax_rate_limited_requests_total', 'counter', 'Requests refused by the per-client rate limit.', [[{}, metrics.rateLimited]]),
+        prometheusMetric('openstax_upload_bytes', 'gauge', 'Bytes of uploaded book archives held in memory.', [[{}, uploadedBytes()]]),
+        prometheusMetric('openstax_result_bytes', 'gauge', 'Bytes of finished job results held for download.', [[{}, [...jobs.values()].reduce((total, job) => total + resultBytes(job), 0)]]),
+        prometheusMetric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [[{}, memory.rss]]),
+        prometheusMetric('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use in bytes.', [[{}, memory.heapUsed]]),
+        prometheusMetric('process_uptime_seconds', 'gauge', 'Seconds since the server started.', [[{}, Math.round(process.uptime())]])
+    ].join('\n');
+    res.type('text/plain; version=0.0.4').send(`${text}\n`);
+});
+
+// Debug endpoints need "Authorization: Bearer <DEBUG_TOKEN>"
+const tokenDigest = (token) => createHash('sha256').update(token).digest();
+app.use('/debug', (req, res, next) => {
+    if (!DEBUG_TOKEN) {
+        return res.status(404).send('Not found');
+    }
+    const token = req.get('Authorization')?.match(/^Bearer (.+)$/)?.[1];
+    if (!token || !timingSafeEqual(tokenDigest(token), tokenDigest(DEBUG_TOKEN))) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized');
+    }
+    next();
+});
+
+// Every job the server still holds, with its output format and upload
+app.get('/debug/jobs', (req, res) => {
+    res.json([...jobs.values()].map(job => ({ ...jobSnapshot(job), format: job.options.format, upload: job.upload?.id || null })));
 });
 
 app.get('/debug/memory', (req, res) => {
@@ -0,0 +1,608 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { join, relative, sep, basename, posix } from 'path';
+import { JSDOM } from 'jsdom';
+import he from 'he';
+import JSZip from 'jszip';
+import {
+    rexSource,
+    tocNode,
+    tocNodesFromHtml,
+    tocNodesFromBookTree,
+    preloadedBook,
+    bookUrlFor,
+    completeBookMetadata,
+    pageBookMetadata,
+    downloadImage,
+    slugify
+} from './converter.js';
+
+// Input adapters turn where a book comes from into a source for scrapeOpenStax (see rexSource in converter.js):
+//   - a REX page URL, on openstax.org or another host running the same reader
+//   - an OpenStax CNXML book: a collection.xml with its modules and media, as in the OpenStax GitHub repositories
+//     (osbooks-*) or the offline ZIPs cnx.org used to serve
+//   - a saved copy of the REX pages, e.g. from the browser's "Save page as" or wget
+// The last two can be a folder or a .zip. Every page ends up as REX markup under the book's openstax.org URL,
+// so cross-references, attribution and re-syncs work as they do for a live book.
+
+const CNXML_NS = 'http://cnx.rice.edu/cnxml';
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+const COLLECTION_FILE = /(?:^|\/)(?:[^/]+\.)?collection\.xml$/;
+const MODULE_FILE = /(?:^|\/)([^/]+)\/index\.cnxml$/;
+const PAGE_FILE = /\.x?html?$/i;
+
+// Largest file, and largest total, a .zip may unpack to
+const ZIP_MAX_ENTRY_MB = Number(process.env.ZIP_MAX_ENTRY_MB ?? 100);
+const ZIP_MAX_TOTAL_MB = Number(process.env.ZIP_MAX_TOTAL_MB ?? 2048);
+const ZIP_MAX_ENTRY_BYTES = ZIP_MAX_ENTRY_MB * 1024 * 1024;
+const ZIP_MAX_TOTAL_BYTES = ZIP_MAX_TOTAL_MB * 1024 * 1024;
+
+// The files of a local book, addressed by their /-separated path inside the folder or archive
+const bookFiles = (paths, read) => {
+    const known = new Set(paths.filter(path => !path.startsWith('__MACOSX/')));
+    return {
+        paths: [...known],
+        has: (path) => known.has(path),
+        read,
+        readText: async (path) => (await read(path)).toString('utf-8')
+    };
+};
+
+async function folderFiles(dir) {
+    const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+    const paths = entries.filter(entry => entry.isFile()).map(entry => relative(dir, join(entry.parentPath, entry.name)).split(sep).join('/'));
+    return bookFiles(paths, (path) => readFile(join(dir, ...path.split('/'))));
+}
+
+// Reads an archive entry, stopping as soon as it unpacks to more than maxBytes, whatever its header claims
+const readZipEntry = (entry, maxBytes, name) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('uint8array');
+    stream.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            stream.pause();
+            reject(new Error(`${entry.name} in ${name} unpacks to more than ${Math.round(maxBytes / 1024 / 1024)} MB`));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.resume();
+});
+
+async function zipFiles(data, name) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(data);
+    } catch (error) {
+        throw new Error(`${name} is not a ZIP archive: ${error.message}`);
+    }
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+    // Archive bombs are refused up front by the sizes the archive declares, and cut short when reading
+    const declared = (entry) => entry._data?.uncompressedSize || 0;
+    const tooLarge = entries.find(entry => declared(entry) > ZIP_MAX_ENTRY_BYTES);
+    if (tooLarge) {
+        throw new Error(`${tooLarge.name} in ${name} unpacks to more than ${ZIP_MAX_ENTRY_MB} MB`);
+    }
+    if (entries.reduce((total, entry) => total + declared(entry), 0) > ZIP_MAX_TOTAL_BYTES) {
+        throw new Error(`${name} unpacks to more than ${ZIP_MAX_TOTAL_MB} MB`);
+    }
+    // Files can be read more than once, so the total counts each one once
+    const unpacked = new Map();
+    const unpackedTotal = () => [...unpacked.values()].reduce((total, size) => total + size, 0);
+    return bookFiles(entries.map(entry => entry.name), async (path) => {
+        const room = ZIP_MAX_TOTAL_BYTES - unpackedTotal() + (unpacked.get(path) || 0);
+        const data = await readZipEntry(zip.file(path), Math.min(ZIP_MAX_ENTRY_BYTES, room), name);
+        unpacked.set(path, data.length);
+        return data;
+    });
+}
+
+// Images inside a folder or archive get a file: URL holding their path in it; the source's image() reads them back.
+// A src that isn't a file of the book is left alone, to be resolved against the page's URL.
+const localUrl = (path) => `file:///${path.split('/').map(encodeURIComponent).join('/')}`;
+const localPath = (url) => decodeURIComponent(new URL(url).pathname.slice(1));
+
+const localSrc = (files, from, src) => {
+    if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(src)) return src;
+    const path = posix.join(posix.dirname(from), decodeURIComponent(src.split(/[?#]/)[0]));
+    return files.has(path) ? localUrl(path) : src;
+};
+
+// Only files of the book itself are read; a file: URL never reaches the disk outside the folder or archive
+const ownsImage = (files) => (url) => url.startsWith('file:') && files.has(localPath(url));
+
+const localImage = (files, allowedHosts) => async (url, signal) => {
+    if (!url.startsWith('file:')) return downloadImage(url, signal, allowedHosts);
+    if (!ownsImage(files)(url)) throw new Error(`${url} is not a file of the book`);
+    return { data: await files.read(localPath(url)), contentType: '' };
+};
+
+const parseXml = (text, path) => {
+    try {
+        return new JSDOM(text, { contentType: 'text/xml' }).window.document;
+    } catch (error) {
+        throw new Error(`${path} is not valid XML: ${error.message}`);
+    }
+};
+
+const childElements = (el, name) => [...(el?.children || [])].filter(child => child.localName === name);
+const childText = (el, name) => childElements(el, name)[0]?.textContent.replace(/\s+/g, ' ').trim() || null;
+const contentChildren = (el) => [...(childElements(el, 'content')[0]?.children || [])];
+const isNumbered = (className) => !/\bunnumbered\b/.test(className || '');
+
+// Figures and tables a module numbers, counted without parsing it
+const countNumbered = (cnxml, name) => [...cnxml.matchAll(new RegExp(`<${name}\\b([^>]*)>`, 'g'))]
+    .filter(([, attributes]) => isNumbered(attributes.match(/\bclass="([^"]*)"/)?.[1])).length;
+
+// REX list styles for CNXML number-style values
+const LIST_NUMBER_TYPES = { 'lower-alpha': 'a', 'upper-alpha': 'A', 'lower-roman': 'i', 'upper-roman': 'I' };
+
+// CNXML elements that map straight onto an HTML element, with the data-type REX gives them
+const CNXML_ELEMENTS = {
+    para: ['p'],
+    section: ['section'],
+    note: ['div', 'note'],
+    example: ['div', 'example'],
+    exercise: ['div', 'exercise'],
+    problem: ['div', 'problem'],
+    solution: ['div', 'solution'],
+    commentary: ['div', 'commentary'],
+    equation: ['div', 'equation'],
+    rule: ['div', 'rule'],
+    statement: ['div', 'statement'],
+    proof: ['div', 'proof'],
+    term: ['span', 'term'],
+    foreign: ['span', 'foreign'],
+    footnote: ['aside', 'footnote'],
+    item: ['li'],
+    sup: ['sup'],
+    sub: ['sub'],
+    cite: ['cite'],
+    'cite-title': ['cite'],
+    span: ['span'],
+    div: ['div']
+};
+
+// Converts a CNXML module to the markup REX renders for it. Figures and tables are numbered within their chapter,
+// continuing from the chapter's earlier modules, and empty cross-references get the text REX would give them.
+function cnxmlPageHtml(cnxml, module, { files, modules, language }) {
+    const source = parseXml(cnxml, module.path);
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="${he.escape(language)}"><head><title></title></head><body><main class="page-content"></main></body></html>`);
+    const { document } = dom.window;
+    document.title = module.title;
+
+    const numbers = new Map();
+    const labels = new Map();
+    [['figure', 'Figure'], ['table', 'Table']].forEach(([name, label]) => {
+        let count = module.offsets[name];
+        [...source.getElementsByTagNameNS(CNXML_NS, name)].filter(el => isNumbered(el.getAttribute('class'))).forEach(el => {
+            if (!module.chapter) return;
+            numbers.set(el, `${module.chapter}.${++count}`);
+            if (el.id) labels.set(el.id, `${label} ${numbers.get(el)}`);
+        });
+    });
+
+    const element = (tagName, from = null, attributes = {}) => {
+        const el = document.createElement(tagName);
+        if (from?.id) el.id = from.id;
+        if (from?.getAttribute('class')) el.className = from.getAttribute('class');
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value != null && value !== '') el.setAttribute(name, value);
+        });
+        return el;
+    };
+    const textSpan = (className, text) => {
+        const span = element('span', null, { class: className });
+        span.textContent = text;
+        return span;
+    };
+
+    const convertChildren = (from, to, depth, skip = []) => {
+        from.childNodes.forEach(child => {
+            if (skip.includes(child.localName)) return;
+            const converted = convertNode(child, depth);
+            if (converted) to.append(converted);
+        });
+        return to;
+    };
+
+    const importMath = (el) => {
+        const math = document.createElementNS(MATHML_NS, el.localName);
+        [...el.attributes].filter(attr => attr.name !== 'xmlns' && attr.prefix !== 'xmlns').forEach(attr => math.setAttribute(attr.localName, attr.value));
+        el.childNodes.forEach(child => {
+            if (child.nodeType === child.ELEMENT_NODE) math.append(importMath(child));
+            else if (child.nodeType === child.TEXT_NODE || child.nodeType === child.CDATA_SECTION_NODE) math.append(child.data);
+        });
+        return math;
+    };
+
+    // REX's caption markup: <span class="os-title-label">Figure </span><span class="os-number">1.3</span>, the title, the caption
+    const captionContainer = (label, number, title, caption, depth) => {
+        if (!number && !title && !caption) return null;
+        const container = element('div', null, { class: 'os-caption-container' });
+        if (number) container.append(textSpan('os-title-label', `${label} `), textSpan('os-number', number), textSpan('os-divider', ' '));
+        if (title) container.append(convertChildren(title, element('span', null, { class: 'os-title' }), depth));
+        if (title && caption) container.append(textSpan('os-divider', ' '));
+        if (caption) container.append(convertChildren(caption, element('span', null, { class: 'os-caption' }), depth));
+        return container;
+    };
+
+    const figure = (el, depth) => {
+        const wrapper = element('div', null, { class: 'os-figure' });
+        wrapper.append(convertChildren(el, element('figure', el), depth, ['title', 'caption']));
+        const caption = captionContainer('Figure', numbers.get(el), childElements(el, 'title')[0], childElements(el, 'caption')[0], depth);
+        if (caption) wrapper.append(caption);
+        return wrapper;
+    };
+
+    const media = (el) => {
+        const alt = el.getAttribute('alt') || '';
+        const image = childElements(el, 'image').find(img => !['pdf', 'print'].includes(img.getAttribute('for')));
+        if (image) {
+            const wrapper = element('span', el, { 'data-type': 'media', 'data-alt': alt });
+            wrapper.append(element('img', null, { src: localSrc(files, module.path, image.getAttribute('src')), alt }));
+            return wrapper;
+        }
+        const iframe = childElements(el, 'iframe')[0];
+        if (iframe) return element('iframe', el, { src: iframe.getAttribute('src'), title: alt });
+        // Video, audio and downloads hosted elsewhere become links; files in the book can't be published
+        const src = [...el.children].map(child => child.getAttribute('src')).find(value => /^https?:/i.test(value || ''));
+        if (!src) return null;
+        const link = element('a', el, { href: src });
+        link.textContent = alt || src;
+        return link;
+    };
+
+    // CALS tables (tgroup, colspec, row, entry) as HTML tables
+    const table = (el, depth) => {
+        const wrapper = element('div', null, { class: 'os-table' });
+        const out = element('table', el);
+        childElements(el, 'tgroup').forEach(tgroup => {
+            const columns = new Map(childElements(tgroup, 'colspec').map((colspec, index) =>
+                [colspec.getAttribute('colname'), Number(colspec.getAttribute('colnum')) || index + 1]));
+            [...tgroup.children].filter(group => ['thead', 'tbody', 'tfoot'].includes(group.localName)).forEach(group => {
+                const section = element(group.localName, group);
+                childElements(group, 'row').forEach(row => {
+                    const tr = element('tr', row);
+                    childElements(row, 'entry').forEach(entry => {
+                        const first = columns.get(entry.getAttribute('namest'));
+                        const last = columns.get(entry.getAttribute('nameend'));
+                        const moreRows = Number(entry.getAttribute('morerows')) || 0;
+                        tr.append(convertChildren(entry, element(group.localName === 'thead' ? 'th' : 'td', entry, {
+                            colspan: first && last > first ? last - first + 1 : null,
+                            rowspan: moreRows ? moreRows + 1 : null
+                        }), depth));
+                    });
+                    section.append(tr);
+                });
+                out.append(section);
+            });
+        });
+        wrapper.append(out);
+        const caption = captionContainer('Table', numbers.get(el), childElements(el, 'title')[0], childElements(el, 'caption')[0], depth);
+        if (caption) wrapper.append(caption);
+        return wrapper;
+    };
+
+    const linkText = (targetId, target) => {
+        if (target) return target.title;
+        if (labels.has(targetId)) return labels.get(targetId);
+        const targetEl = targetId && source.getElementById(targetId);
+        if (!targetEl) return targetId || '';
+        return childText(targetEl, 'title') || targetEl.localName.replace(/^./, letter => letter.toUpperCase());
+    };
+
+    // Links within the module keep their #target-id; links to other modules point at those pages' URLs
+    const link = (el, depth) => {
+        const url = el.getAttribute('url');
+        const documentId = el.getAttribute('document');
+        const targetId = el.getAttribute('target-id');
+        const target = documentId && modules.get(documentId);
+        let href = url;
+        if (!href && target) href = targetId ? `${target.url}#${targetId}` : target.url;
+        if (!href && !documentId && targetId) href = `#${targetId}`;
+        const out = convertChildren(el, href ? element('a', el, { href }) : element('span', el), depth);
+        if (!out.textContent.trim()) out.textContent = linkText(targetId, target);
+        return out;
+    };
+
+    const definitionItems = (el, depth) => {
+        const term = element('dt', el);
+        childElements(el, 'term').forEach(child => convertChildren(child, term, depth));
+        return [term, ...childElements(el, 'meaning').map(meaning => convertChildren(meaning, element('dd', meaning), depth))];
+    };
+
+    const convertNode = (node, depth) => {
+        if (node.nodeType === node.TEXT_NODE || node.nodeType === node.CDATA_SECTION_NODE) return document.createTextNode(node.data);
+        if (node.nodeType !== node.ELEMENT_NODE) return null;
+        if (node.namespaceURI === MATHML_NS) return importMath(node);
+        const el = node;
+        const parent = el.parentNode.localName;
+        switch (el.localName) {
+        case 'metadata':
+        case 'label':
+            return null;
+        case 'section':
+            return convertChildren(el, element('section', el), depth + 1);
+        case 'title':
+            if (parent === 'section') return convertChildren(el, element(`h${Math.min(depth + 1, 6)}`, el, { 'data-type': 'title' }), depth);
+            if (parent === 'para') return convertChildren(el, element('strong', el, { 'data-type': 'title' }), depth);
+            return convertChildren(el, element('h3', null, { class: 'os-title', 'data-type': 'title' }), depth);
+        case 'emphasis': {
+            const effect = el.getAttribute('effect') || 'bold';
+            const out = element({ bold: 'strong', italics: 'em', underline: 'u' }[effect] || 'span', el);
+            if (effect === 'smallcaps') out.setAttribute('style', 'font-variant: small-caps;');
+            return convertChildren(el, out, depth);
+        }
+        case 'list': {
+            const enumerated = el.getAttribute('list-type') === 'enumerated';
+            const list = element(enumerated ? 'ol' : 'ul', el, enumerated ? {
+                type: LIST_NUMBER_TYPES[el.getAttribute('number-style')],
+                start: el.getAttribute('start-value')
+            } : {});
+            convertChildren(el, list, depth, ['title']);
+            const title = childElements(el, 'title')[0];
+            if (!title) return list;
+            const fragment = document.createDocumentFragment();
+            fragment.append(convertChildren(title, element('p', null, { class: 'os-title', 'data-type': 'title' }), depth), list);
+            return fragment;
+        }
+        case 'figure':
+            return figure(el, depth);
+        case 'subfigure': {
+            const out = convertChildren(el, element('figure', el), depth, ['title', 'caption']);
+            const caption = childElements(el, 'caption')[0];
+            if (caption) out.append(convertChildren(caption, element('figcaption'), depth));
+            return out;
+        }
+        case 'media':
+            return media(el);
+        case 'table':
+            return table(el, depth);
+        case 'link':
+            return link(el, depth);
+        case 'glossary': {
+            const out = element('div', el, { class: 'os-glossary-container', 'data-type': 'glossary' });
+            const heading = element('h2', null, { 'data-type': 'glossary-title' });
+            heading.textContent = 'Key Terms';
+            const list = element('dl');
+            childElements(el, 'definition').forEach(definition => list.append(...definitionItems(definition, depth)));
+            out.append(heading, list);
+            return out;
+        }
+        case 'definition': {
+            const list = element('dl');
+            list.append(...definitionItems(el, depth));
+            return list;
+        }
+        case 'code':
+        case 'preformat':
+            return convertChildren(el, element(el.localName === 'preformat' || el.getAttribute('display') === 'block' ? 'pre' : 'code', el), depth);
+        case 'quote':
+            return convertChildren(el, element(el.getAttribute('display') === 'inline' ? 'q' : 'blockquote', el), depth);
+        case 'newline':
+            return element('br');
+        case 'space':
+            return document.createTextNode(' ');
+        default: {
+            const [tagName, type] = CNXML_ELEMENTS[el.localName] || ['div', el.localName];
+            return convertChildren(el, element(tagName, el, { 'data-type': type }), depth);
+        }
+        }
+    };
+
+    const main = document.querySelector('main');
+    const root = source.documentElement;
+    const content = childElements(root, 'content')[0];
+    if (content) convertChildren(content, main, 1);
+    childElements(root, 'glossary').forEach(glossary => main.append(convertNode(glossary, 1)));
+    return dom.serialize();
+}
+
+// A CNXML book. Chapters are the collection's subcollections (a subcollection of subcollections is a unit) and
+// are numbered in order; a chapter's modules after its introduction are its numbered sections, and modules after
+// the last chapter are appendices lettered A, B, ... Page URLs and slugs follow REX.
+async function cnxmlSource(files, name, allowedHosts) {
+    const collections = files.paths.filter(path => COLLECTION_FILE.test(path)).sort();
+    if (collections.length > 1) {
+        console.warn(`${name} holds ${collections.length} collections; converting ${collections[0]}`);
+    }
+    const collectionPath = collections[0];
+    const collection = parseXml(await files.readText(collectionPath), collectionPath).documentElement;
+    const metadata = childElements(collection, 'metadata')[0];
+
+    // The GitHub repositories list each book's slug in META-INF/books.xml
+    const booksPath = files.paths.find(path => /(?:^|\/)META-INF\/books\.xml$/.test(path));
+    const listedBook = booksPath && [...parseXml(await files.readText(booksPath), booksPath).getElementsByTagNameNS('*', 'book')]
+        .find(book => basename(book.getAttribute('href') || '') === basename(collectionPath));
+    const title = childText(metadata, 'title') || name;
+    const slug = childText(metadata, 'slug') || listedBook?.getAttribute('slug') || slugify(title);
+    const bookUrl = `https://openstax.org/books/${slug}`;
+    const language = childText(metadata, 'language') || 'en';
+
+    // cnx.org collections name their authors by user id in md:roles
+    const authorIds = [...(metadata?.getElementsByTagNameNS('*', 'role') || [])]
+        .filter(role => role.getAttribute('type') === 'author')
+        .flatMap(role => role.textContent.trim().split(/\s+/));
+    const authors = [...(metadata?.getElementsByTagNameNS('*', 'person') || [])]
+        .filter(person => authorIds.includes(person.getAttribute('userid')))
+        .map(person => childText(person, 'fullname'))
+        .filter(Boolean);
+    const licenseUrl = metadata?.getElementsByTagNameNS('*', 'license')[0]?.getAttribute('url') || null;
+
+    const modulePaths = new Map();
+    files.paths.forEach(path => {
+        const match = path.match(MODULE_FILE);
+        if (match && !modulePaths.has(match[1])) modulePaths.set(match[1], path);
+    });
+
+    const readModule = async (moduleEl) => {
+        const id = moduleEl.getAttribute('document');
+        const path = modulePaths.get(id) || null;
+        const cnxml = path ? await files.readText(path) : '';
+        const moduleTitle = cnxml.match(/<title>([\s\S]*?)<\/title>/)?.[1];
+        return {
+            id,
+            path,
+            title: childText(moduleEl, 'title') || (moduleTitle && he.decode(moduleTitle.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim()) || id,
+            introduction: /<document\b[^>]*\bclass="[^"]*\bintroduction\b/.test(cnxml),
+            counts: { figure: countNumbered(cnxml, 'figure'), table: countNumbered(cnxml, 'table') }
+        };
+    };
+
+    const pages = new Map();
+    const modules = new Map();
+    const addPage = (module, title, slug, chapter = null, offsets = { figure: 0, table: 0 }) => {
+        const url = `${bookUrl}/pages/${slug}`;
+        pages.set(url, { ...module, title, chapter, offsets });
+        modules.set(module.id, { url, title });
+        return url;
+    };
+
+    let chapterCount = 0;
+    let appendixCount = 0;
+    const chapterNode = async (subcollection) => {
+        const number = String(++chapterCount);
+        const text = childText(subcollection, 'title') || `Chapter ${number}`;
+        const offsets = { figure: 0, table: 0 };
+        const children = [];
+        let sectionCount = 0;
+        for (const moduleEl of contentChildren(subcollection).filter(el => el.localName === 'module')) {
+            const module = await readModule(moduleEl);
+            const sectionNumber = module.introduction ? null : `${number}.${++sectionCount}`;
+            const pageTitle = sectionNumber ? `${sectionNumber} ${module.title}` : 'Introduction';
+            const url = addPage(module, pageTitle, slugify(sectionNumber ? pageTitle : `${number} introduction`), number, { ...offsets });
+            offsets.figure += module.counts.figure;
+            offsets.table += module.counts.table;
+            children.push(tocNode({ title: pageTitle, number: sectionNumber, text: sectionNumber ? module.title : pageTitle, url }));
+        }
+        return tocNode({ title: `${number} ${text}`, number, text, children });
+    };
+
+    const nodes = [];
+    for (const el of contentChildren(collection)) {
+        if (el.localName === 'module') {
+            const module = await readModule(el);
+            const pageTitle = chapterCount ? `${String.fromCharCode(65 + appendixCount++)} | ${module.title}` : module.title;
+            nodes.push(tocNode({ title: pageTitle, url: addPage(module, pageTitle, slugify(pageTitle)) }));
+        } else if (el.localName === 'subcollection' && contentChildren(el).some(child => child.localName === 'subcollection')) {
+            const children = [];
+            for (const child of contentChildren(el)) {
+                if (child.localName === 'subcollection') {
+                    children.push(await chapterNode(child));
+                } else if (child.localName === 'module') {
+                    const module = await readModule(child);
+                    children.push(tocNode({ title: module.title, url: addPage(module, module.title, slugify(module.title)) }));
+                }
+            }
+            nodes.push(tocNode({ title: childText(el, 'title') || 'Unit', children }));
+        } else if (el.localName === 'subcollection') {
+            nodes.push(await chapterNode(el));
+        }
+    }
+
+    const bookMetadata = completeBookMetadata({ slug, title, url: bookUrl, authors, license: { url: licenseUrl }, language });
+    return {
+        slug,
+        url: bookUrl,
+        localImages: true,
+        tableOfContents: async () => nodes,
+        metadata: async () => bookMetadata,
+        pageHtml: async (page) => {
+            const module = pages.get(page.url);
+            if (!module?.path) {
+                throw new Error(`Module ${module?.id || page.url} is not in ${name}`);
+            }
+            return cnxmlPageHtml(await files.readText(module.path), module, { files, modules, language });
+        },
+        image: localImage(files, allowedHosts),
+        ownsImage: ownsImage(files)
+    };
+}
+
+// Saved REX pages, found by their canonical URL or by file name (1-1-physics.html for .../pages/1-1-physics).
+// The TOC comes from the reader state saved with the pages, or else from the TOC sidebar of a page that has one.
+async function savedBookSource(files, name, allowedHosts) {
+    const pathsByUrl = new Map();
+    const pathsBySlug = new Map();
+    let first = null;
+    let tocPage = null;
+    let book = null;
+    for (const path of files.paths.filter(path => PAGE_FILE.test(path)).sort()) {
+        const html = await files.readText(path);
+        if (!html.includes('page-content')) continue;
+        const canonical = html.match(/<link\b[^>]*\brel=["']canonical["'][^>]*>/i)?.[0].match(/\bhref=["']([^"']+)["']/i)?.[1];
+        const url = canonical ? new URL(canonical, 'https://openstax.org').href.split('#')[0] : null;
+        if (url) pathsByUrl.set(url, path);
+        pathsBySlug.set(basename(path).replace(PAGE_FILE, ''), path);
+        first ||= { path, html, url };
+        if (!tocPage && /class="table-of-contents|data-testid="toc"/.test(html)) tocPage = { path, html, url };
+        book ||= preloadedBook(html);
+    }
+    if (!first) {
+        throw new Error(`${name} is not an OpenStax book: it has no CNXML collection and no saved REX pages`);
+    }
+
+    const bookUrl = first.url ? bookUrlFor(first.url) : `https://openstax.org/books/${book?.slug || slugify(name.replace(/\.zip$/i, ''))}`;
+    const slug = bookUrl.split('/').pop();
+    let nodes = [];
+    if (book?.tree?.contents) {
+        nodes = tocNodesFromBookTree(book.tree.contents, bookUrl);
+    } else if (tocPage) {
+        nodes = tocNodesFromHtml(tocPage.html, tocPage.url || `${bookUrl}/pages/${basename(tocPage.path).replace(PAGE_FILE, '')}`);
+    }
+    if (!nodes.length) {
+        throw new Error(`Could not read the table of contents of ${name}`);
+    }
+
+    const page = pageBookMetadata(first.html, first.url || bookUrl);
+    const bookMetadata = completeBookMetadata({
+        slug,
+        title: book?.title || page.title,
+        url: page.url || bookUrl,
+        language: page.language || book?.language,
+        license: book?.license?.url ? book.license : page.license
+    });
+    return {
+        slug,
+        url: bookUrl,
+        localImages: true,
+        tableOfContents: async () => nodes,
+        metadata: async () => bookMetadata,
+        pageHtml: async (page) => {
+            const path = pathsByUrl.get(page.url) || pathsBySlug.get(new URL(page.url).pathname.split('/').pop());
+            if (!path) {
+                throw new Error(`${page.url} is not saved in ${name}`);
+            }
+            const dom = new JSDOM(await files.readText(path));
+            dom.window.document.querySelectorAll('img').forEach(img => ['src', 'data-lazy-src'].forEach(attribute => {
+                if (img.hasAttribute(attribute)) img.setAttribute(attribute, localSrc(files, path, img.getAttribute(attribute)));
+            }));
+            return dom.serialize();
+        },
+        image: localImage(files, allowedHosts),
+        ownsImage: ownsImage(files)
+    };
+}
+
+// Opens a book for scrapeOpenStax: a REX page URL, the path of a folder or .zip holding a CNXML book or saved REX
+// pages, or the contents of an uploaded .zip (a Buffer; name is only used in messages). Pages and images are
+// only fetched from allowedHosts (null for any host).
+async function openSource(input, name = 'upload', { allowedHosts = null } = {}) {
+    if (typeof input === 'string' && /^https?:\/\//i.test(input)) {
+        return rexSource(input, { allowedHosts });
+    }
+    let files;
+    if (typeof input === 'string') {
+        name = basename(input);
+        files = (await stat(input)).isDirectory() ? await folderFiles(input) : await zipFiles(await readFile(input), name);
+    } else {
+        files = await zipFiles(input, name);
+    }
+    return files.paths.some(path => COLLECTION_FILE.test(path)) ? cnxmlSource(files, name, allowedHosts) : savedBookSource(files, name, allowedHosts);
+}
+
+export { openSource };
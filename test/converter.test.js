@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeOpenStax, emptyPagesError } from '../converter.js';
+import { bookSource, pageUrl } from './helpers.js';
+
+test('a page that fails to load is reported as failed and fails a failOnEmpty conversion', async () => {
+    const source = bookSource([['Alpha', 'Beta']], { contents: { '1-1-alpha': '' } });
+    const pageHtml = source.pageHtml;
+    source.pageHtml = async (page) => {
+        if (page.slug === '1-2-beta') throw new Error('Page not found');
+        return pageHtml(page);
+    };
+    const { report } = await scrapeOpenStax(source);
+    assert.equal(report.pages.failed, 1);
+    assert.deepEqual(report.failedPages.map(page => page.title), ['1.2 Beta']);
+    assert.deepEqual(report.emptyPages.map(page => page.title), ['1.1 Alpha']);
+    assert.equal(emptyPagesError(report), '1 page(s) failed to load: 1.2 Beta; 1 page(s) came back empty: 1.1 Alpha');
+});
+
+test('links between pages point at their Pressbooks permalinks and keep the ids they target', async () => {
+    const { book, report } = await scrapeOpenStax(bookSource([['Alpha', 'Beta']], {
+        contents: {
+            '1-1-alpha': `<p id="a1">See <a href="${pageUrl('1-2-beta')}#b1">Beta</a>, <a href="#a2">below</a>, <a href="${pageUrl('1-1-alpha')}">this page</a> and <a href="#gone">nothing</a>.</p><p id="a2">Below.</p><p id="a3">Unlinked.</p>`,
+            '1-2-beta': '<p id="b1">Beta.</p>'
+        }
+    }));
+    const [alpha, beta] = book.parts[0].subsections;
+    assert.match(alpha.content, /<a href="\.\.\/\.\.\/chapter\/1-2-beta\/#b1">Beta<\/a>/);
+    assert.match(alpha.content, /<a href="#a2">below<\/a>/);
+    assert.match(alpha.content, /<a href="\.\.\/\.\.\/chapter\/1-1-alpha\/">this page<\/a>/);
+    assert.match(alpha.content, /<p id="a2">/);
+    assert.doesNotMatch(alpha.content, /id="a[13]"/);
+    assert.match(beta.content, /<p id="b1">/);
+    assert.deepEqual(report.links.brokenAnchors.map(link => link.target), [`${pageUrl('1-1-alpha')}#gone`]);
+});
+
+test('links in key term definitions point back at the page they came from', async () => {
+    const { book } = await scrapeOpenStax(bookSource([['Atoms']], {
+        contents: {
+            '1-1-atoms': '<p id="p1">Matter is made of atoms.</p><p id="p2">Unlinked.</p>' +
+                '<div class="os-glossary-container"><dl><dt id="t1">atom</dt><dd id="d1">smallest <a href="#p1">unit</a> of matter</dd></dl></div>'
+        }
+    }));
+    assert.deepEqual(book.glossary.map(entry => [entry.term, entry.definition]), [
+        ['atom', 'smallest <a href="../../chapter/1-1-atoms/#p1">unit</a> of matter']
+    ]);
+    const { content } = book.parts[0].subsections[0];
+    assert.match(content, /<p id="p1">/);
+    assert.doesNotMatch(content, /id="p2"/);
+});
+
+test('SVG math is labelled with the expression in words', async () => {
+    const { book, report } = await scrapeOpenStax(bookSource([['Motion']], {
+        contents: {
+            '1-1-motion': '<p>Half: <math><mi>x</mi><mo>=</mo><mfrac><mn>1</mn><mn>2</mn></mfrac></math>.</p>' +
+                '<p>Labelled: <math alttext="area of a circle"><mi>A</mi><mo>=</mo><mi>π</mi><msup><mi>r</mi><mn>2</mn></msup></math>.</p>'
+        }
+    }), { mathOutput: 'svg' });
+    const { content } = book.parts[0].subsections[0];
+    assert.deepEqual([...content.matchAll(/aria-label="([^"]*)"/g)].map(match => match[1]), ['x equals one half', 'area of a circle']);
+    assert.doesNotMatch(content, /\\frac/);
+    assert.equal(report.math.converted, 2);
+    assert.deepEqual(report.accessibility.issues, []);
+});
+
+test('an SVG equation with nothing to read out is an accessibility issue', async () => {
+    const { report } = await scrapeOpenStax(bookSource([['Motion']], {
+        contents: { '1-1-motion': '<p>Blank: <math><mrow></mrow></math>.</p>' }
+    }), { mathOutput: 'svg' });
+    assert.deepEqual(report.accessibility.issues.map(issue => [issue.criterion, issue.issue]), [
+        ['1.1.1 Non-text Content', 'Equation image has no alt text: the expression could not be read out']
+    ]);
+});
+
+test('math LaTeX would lose stays MathML and is reported', async () => {
+    const { book, report } = await scrapeOpenStax(bookSource([['Nuclei']], {
+        contents: {
+            '1-1-nuclei': '<p><math><mi>E</mi><mo>=</mo><mi>m</mi><msup><mi>c</mi><mn>2</mn></msup></math> and ' +
+                '<math><mmultiscripts><mi>C</mi><mprescripts/><mn>6</mn><mn>14</mn></mmultiscripts></math></p>'
+        }
+    }));
+    const { content } = book.parts[0].subsections[0];
+    assert.match(content, /<span>\[latex\]E = m c\^\{2\}\[\/latex\]<\/span>/);
+    assert.match(content, /<math[^>]*><mmultiscripts>/);
+    assert.deepEqual(report.math.failed.map(failure => failure.reason), ['Prescripts (mmultiscripts) are not supported in LaTeX output']);
+});
+
+test('the accessibility pass fixes what it can and reports the rest', async () => {
+    const { book, report } = await scrapeOpenStax(bookSource([['Data']], {
+        contents: {
+            '1-1-data': '<h3>Tables</h3><h5>Units</h5>' +
+                '<div class="os-figure"><figure><img src="https://openstax.org/chart.png" alt="chart.png"></figure>' +
+                '<div class="os-caption-container"><span class="os-title-label">Figure </span><span class="os-number">1.1</span><span class="os-divider"> </span><span class="os-caption">Speed over time.</span></div></div>' +
+                '<div class="os-table"><table><thead><tr><th>Unit</th></tr></thead><tbody><tr><th>Length</th><td>m</td></tr></tbody></table>' +
+                '<div class="os-caption-container"><span class="os-caption">SI units</span></div></div>' +
+                '<table><tr><td>No header</td></tr></table><p><a href="https://example.org"></a></p>'
+        }
+    }));
+    const { content } = book.parts[0].subsections[0];
+    assert.match(content, /<h2>Tables<\/h2><h3>Units<\/h3>/);
+    assert.match(content, /<img src="https:\/\/openstax.org\/chart.png" alt="Speed over time." \/>/);
+    assert.match(content, /<table><caption><span>SI units<\/span><\/caption><thead><tr><th scope="col">Unit<\/th><\/tr><\/thead><tbody><tr><th scope="row">Length<\/th>/);
+    assert.deepEqual(report.accessibility.fixed, { altText: 1, tableCaptions: 1, headerScopes: 2, headings: 2 });
+    assert.deepEqual(report.accessibility.issues.map(issue => issue.issue), ['Table has no header cells', 'Link has no text']);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import JSZip from 'jszip';
+import { scrapeOpenStax } from '../converter.js';
+import { EXPORTERS, exportConversion } from '../exporters.js';
+import { bookSource, pageUrl } from './helpers.js';
+
+// A book whose preface links to its Index and Nav pages, which share their slugs with the HTML site's index.html
+// and the EPUB's nav.xhtml
+const convertBook = () => scrapeOpenStax(bookSource([['Atoms']], {
+    contents: { preface: `<p>See the <a href="${pageUrl('index')}">index</a> and <a href="${pageUrl('1-1-atoms')}#p1">atoms</a>.</p>` },
+    backMatter: { nav: 'Nav', index: 'Index' }
+}));
+
+const fileDocument = (files, path) => new JSDOM(files.find(file => file.path === path).data).window.document;
+const links = (document, selector) => [...document.querySelectorAll(`${selector} a`)].map(link => link.getAttribute('href'));
+
+test('the HTML site keeps index.html for its table of contents', async () => {
+    const files = EXPORTERS.html.build(await convertBook());
+    const paths = files.map(file => file.path);
+    assert.equal(new Set(paths).size, paths.length);
+    assert.deepEqual(paths.filter(path => path.endsWith('.html')), ['index.html', 'preface.html', '1-1-atoms.html', 'nav.html', 'index-page.html']);
+
+    const contents = fileDocument(files, 'index.html');
+    assert.equal(contents.title, 'Test Book');
+    assert.deepEqual(links(contents, 'nav'), ['preface.html', '1-1-atoms.html', 'nav.html', 'index-page.html']);
+
+    const preface = fileDocument(files, 'preface.html');
+    assert.deepEqual(links(preface, 'main p'), ['index-page.html', '1-1-atoms.html#p1']);
+    const indexPage = fileDocument(files, 'index-page.html');
+    assert.equal(indexPage.title, 'Index - Test Book');
+    assert.deepEqual(links(indexPage, 'nav:first-of-type'), ['nav.html', 'index.html']);
+});
+
+test('the EPUB keeps nav.xhtml for its navigation document', async () => {
+    const { filename, type, data } = await exportConversion(await convertBook(), 'epub');
+    assert.equal(filename, 'test-book.epub');
+    assert.equal(type, 'application/epub+zip');
+    const zip = await JSZip.loadAsync(data);
+    assert.equal(Object.keys(zip.files)[0], 'mimetype');
+
+    const opf = new JSDOM(await zip.file('OEBPS/content.opf').async('string'), { contentType: 'text/xml' }).window.document;
+    const hrefs = [...opf.getElementsByTagName('item')].map(item => item.getAttribute('href'));
+    assert.deepEqual(hrefs.filter(href => href.endsWith('.xhtml')), ['nav.xhtml', 'preface.xhtml', '1-1-atoms.xhtml', 'nav-page.xhtml', 'index.xhtml']);
+    hrefs.forEach(href => assert.ok(zip.file(`OEBPS/${href}`), `${href} is in the EPUB`));
+
+    const nav = await zip.file('OEBPS/nav.xhtml').async('string');
+    assert.match(nav, /<nav epub:type="toc"/);
+    assert.match(nav, /href="nav-page\.xhtml">Nav</);
+});
+
+test('only the listed formats are exporters', async () => {
+    const conversion = await convertBook();
+    for (const format of ['toString', '__proto__', 'constructor']) {
+        await assert.rejects(exportConversion(conversion, format), /Unknown output format/);
+    }
+});
@@ -0,0 +1,33 @@
+import { tocNode, completeBookMetadata } from '../converter.js';
+
+const BOOK_URL = 'https://openstax.org/books/test-book';
+const pageUrl = (slug) => `${BOOK_URL}/pages/${slug}`;
+const pageHtml = (body) => `<html lang="en"><head><title>Test</title></head><body><main class="page-content">${body}</main></body></html>`;
+
+// An in-memory source (see rexSource) for a book with a preface, one chapter per entry of chapters, each holding
+// its section titles, and the back matter pages in backMatter (slug => title); contents maps page slugs to their
+// HTML body
+const bookSource = (chapters, { contents = {}, backMatter = {} } = {}) => ({
+    slug: 'test-book',
+    url: BOOK_URL,
+    localImages: false,
+    tableOfContents: async () => [
+        tocNode({ title: 'Preface', url: pageUrl('preface') }),
+        ...chapters.map((sections, i) => tocNode({
+            title: `${i + 1} Chapter ${i + 1}`,
+            number: String(i + 1),
+            text: `Chapter ${i + 1}`,
+            children: sections.map((section, j) => tocNode({
+                title: `${i + 1}.${j + 1} ${section}`,
+                number: `${i + 1}.${j + 1}`,
+                text: section,
+                url: pageUrl(`${i + 1}-${j + 1}-${section.toLowerCase()}`)
+            }))
+        })),
+        ...Object.entries(backMatter).map(([slug, title]) => tocNode({ title, url: pageUrl(slug) }))
+    ],
+    metadata: async () => completeBookMetadata({ slug: 'test-book', title: 'Test Book', url: BOOK_URL }),
+    pageHtml: async (page) => pageHtml(contents[page.slug] ?? `<p>${page.title}</p>`)
+});
+
+export { BOOK_URL, pageUrl, bookSource };
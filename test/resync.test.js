@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { scrapeOpenStax, buildPressbooksXML, getBookTableOfContents } from '../converter.js';
+import { EXPORTERS } from '../exporters.js';
+import { bookSource } from './helpers.js';
+
+// Post ids of a WXR export by post type and slug, e.g. 'chapter:1-1-alpha' => 4
+const postIds = (xml) => {
+    const { document } = new JSDOM(xml, { contentType: 'text/xml' }).window;
+    const field = (item, name) => item.getElementsByTagName(name)[0].textContent;
+    return new Map([...document.getElementsByTagName('item')]
+        .map(item => [`${field(item, 'wp:post_type')}:${field(item, 'wp:post_name')}`, Number(field(item, 'wp:post_id'))]));
+};
+
+test('posts are numbered in book order without gaps, however long a part is', async () => {
+    const longChapter = Array.from({ length: 150 }, (_, i) => `Section${i + 1}`);
+    const toc = await getBookTableOfContents(bookSource([longChapter, ['Next']]));
+    const ids = [
+        ...toc.frontMatter.map(item => item.id),
+        ...toc.parts.flatMap(part => [part.id, ...part.subsections.map(chapter => chapter.id)]),
+        ...toc.backMatter.map(item => item.id)
+    ];
+    assert.deepEqual(ids, Array.from({ length: ids.length }, (_, i) => i + 2));
+    assert.equal(toc.parts[1].id, 154);
+});
+
+test('a re-sync keeps the previous post ids and numbers new posts after them', async () => {
+    const first = await scrapeOpenStax(bookSource([['Alpha', 'Beta']]));
+    const previousWxr = buildPressbooksXML(first.book);
+    const previousIds = postIds(previousWxr);
+
+    const second = await scrapeOpenStax(bookSource([['Alpha', 'Beta', 'Gamma']], { contents: { '1-2-beta': '<p>Beta, revised</p>' } }), { previousWxr });
+    const { resync } = second.report;
+    assert.equal(resync.added, 1);
+    assert.equal(resync.changed, 1);
+    assert.equal(resync.removed, 0);
+
+    const chapters = second.book.parts[0].subsections;
+    assert.equal(chapters[0].id, previousIds.get('chapter:1-1-alpha'));
+    assert.equal(chapters[1].id, previousIds.get('chapter:1-2-beta'));
+    assert.equal(chapters[2].id, Math.max(...previousIds.values()) + 1);
+    assert.deepEqual([...second.book.onlyIds].sort(), [chapters[1].id, chapters[2].id].sort());
+});
+
+test('a re-sync export carries the whole book for the next re-sync, and is itself refused as a previous export', async () => {
+    const first = await scrapeOpenStax(bookSource([['Alpha', 'Beta']]));
+    const second = await scrapeOpenStax(bookSource([['Alpha', 'Beta', 'Gamma']]), { previousWxr: buildPressbooksXML(first.book) });
+    const files = EXPORTERS.wxr.build(second);
+    const partial = files.find(file => file.path === 'pressbooks.xml').data;
+    const full = files.find(file => file.path === 'pressbooks-full.xml').data;
+    assert.equal(postIds(partial).size, 1);
+    assert.deepEqual(postIds(full), postIds(buildPressbooksXML(second.book, { full: true })));
+
+    await assert.rejects(scrapeOpenStax(bookSource([['Alpha', 'Beta', 'Gamma']]), { previousWxr: partial }), /pressbooks-full\.xml/);
+    const third = await scrapeOpenStax(bookSource([['Alpha', 'Beta', 'Gamma']]), { previousWxr: full });
+    assert.equal(third.report.resync.added, 0);
+    assert.equal(third.report.resync.changed, 0);
+    assert.equal(third.report.resync.removed, 0);
+    assert.deepEqual(postIds(buildPressbooksXML(third.book, { full: true })), postIds(full));
+});
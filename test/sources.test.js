@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import JSZip from 'jszip';
+import { openSource } from '../sources.js';
+
+const BOOK_URL = 'https://openstax.org/books/test-physics';
+
+const collection = (language = 'en') => `<col:collection xmlns:col="http://cnx.rice.edu/collxml" xmlns:md="http://cnx.rice.edu/mdml">
+  <col:metadata><md:title>Test Physics</md:title><md:language>${language}</md:language></col:metadata>
+  <col:content>
+    <col:module document="m4"/>
+    <col:subcollection><md:title>Introduction to Science</md:title><col:content>
+      <col:module document="m1"/><col:module document="m2"/>
+    </col:content></col:subcollection>
+    <col:module document="m3"/>
+  </col:content>
+</col:collection>`;
+
+const MODULES = {
+    m1: `<document xmlns="http://cnx.rice.edu/cnxml" class="introduction"><title>Introduction to Science</title><content>
+<figure id="fig-rocket"><media alt="A rocket"><image mime-type="image/jpeg" src="../../media/rocket.jpg"/></media><caption>A rocket.</caption></figure>
+<para id="p1">See <link target-id="fig-rocket"/>.</para>
+</content></document>`,
+    m2: `<document xmlns="http://cnx.rice.edu/cnxml"><title>Physics: An Introduction</title><content>
+<figure id="fig-chart"><title>Chart</title><media alt="chart"><image mime-type="image/png" src="../../media/chart.png"/></media></figure>
+<para id="p2">Back to <link document="m1"/>; see <link document="m1" target-id="fig-rocket">the rocket</link> and <link target-id="fig-chart"/>.</para>
+</content>
+<glossary><definition id="d1"><term>physics</term><meaning id="mean1">the study of matter</meaning></definition></glossary>
+</document>`,
+    m3: '<document xmlns="http://cnx.rice.edu/cnxml"><title>Units</title><content><para id="p3">Meters.</para></content></document>',
+    m4: '<document xmlns="http://cnx.rice.edu/cnxml" class="preface"><title>Preface</title><content><para id="p4">Welcome.</para></content></document>'
+};
+
+// The book as an uploaded .zip, laid out like the OpenStax GitHub repositories
+const bookZip = async ({ language } = {}) => {
+    const zip = new JSZip();
+    zip.file('META-INF/books.xml', '<container xmlns="https://openstax.org/namespaces/book-container" version="1"><book slug="test-physics" href="../collections/test-physics.collection.xml"/></container>');
+    zip.file('collections/test-physics.collection.xml', collection(language));
+    Object.entries(MODULES).forEach(([id, cnxml]) => zip.file(`modules/${id}/index.cnxml`, cnxml));
+    zip.file('media/rocket.jpg', 'rocket');
+    zip.file('media/chart.png', 'chart');
+    return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const pageDocument = async (source, url) => new JSDOM(await source.pageHtml({ url })).window.document;
+
+test('a CNXML book is laid out as REX numbers it', async () => {
+    const source = await openSource(await bookZip(), 'book.zip');
+    assert.equal(source.url, BOOK_URL);
+    const toc = await source.tableOfContents();
+    assert.deepEqual(toc.map(node => node.title), ['Preface', '1 Introduction to Science', 'A | Units']);
+    assert.deepEqual(toc[1].children.map(node => [node.title, node.number, node.url]), [
+        ['Introduction', null, `${BOOK_URL}/pages/1-introduction`],
+        ['1.1 Physics: An Introduction', '1.1', `${BOOK_URL}/pages/1-1-physics-an-introduction`]
+    ]);
+    assert.equal(toc[2].url, `${BOOK_URL}/pages/a-units`);
+});
+
+test('CNXML pages number their figures through the chapter and link to the pages they cite', async () => {
+    const source = await openSource(await bookZip(), 'book.zip');
+    const introduction = await pageDocument(source, `${BOOK_URL}/pages/1-introduction`);
+    assert.equal(introduction.querySelector('#p1 a').textContent, 'Figure 1.1');
+
+    const section = await pageDocument(source, `${BOOK_URL}/pages/1-1-physics-an-introduction`);
+    assert.deepEqual([...section.querySelectorAll('.os-figure .os-number')].map(number => number.textContent), ['1.2']);
+    assert.deepEqual([...section.querySelectorAll('#p2 a')].map(link => [link.getAttribute('href'), link.textContent]), [
+        [`${BOOK_URL}/pages/1-introduction`, 'Introduction'],
+        [`${BOOK_URL}/pages/1-introduction#fig-rocket`, 'the rocket'],
+        ['#fig-chart', 'Figure 1.2']
+    ]);
+    assert.equal(section.querySelector('[data-type="glossary"] dt#d1').textContent, 'physics');
+    assert.equal(section.querySelector('[data-type="glossary"] dd#mean1').textContent, 'the study of matter');
+});
+
+test('CNXML images are read from the book and nowhere else on disk', async () => {
+    const source = await openSource(await bookZip(), 'book.zip');
+    const section = await pageDocument(source, `${BOOK_URL}/pages/1-1-physics-an-introduction`);
+    const src = section.querySelector('img').getAttribute('src');
+    assert.ok(source.ownsImage(src));
+    assert.equal((await source.image(src)).data.toString(), 'chart');
+
+    assert.equal(source.ownsImage('file:///etc/passwd'), false);
+    await assert.rejects(source.image('file:///etc/passwd'), /not a file of the book/);
+});
+
+test('the book language is escaped in the page markup', async () => {
+    const source = await openSource(await bookZip({ language: 'en&quot;&gt;&lt;script&gt;' }), 'book.zip');
+    const page = await pageDocument(source, `${BOOK_URL}/pages/a-units`);
+    assert.equal(page.querySelector('script'), null);
+    assert.equal(page.documentElement.lang, 'en"><script>');
+});
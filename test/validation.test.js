@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { validateWxr, validationError } from '../validation.js';
+import { scrapeOpenStax, buildPressbooksXML } from '../converter.js';
+import { bookSource } from './helpers.js';
+
+const REFERENCE_WXR = readFileSync(new URL('../minimal_wxr.xml', import.meta.url), 'utf-8');
+
+// The reference export with its first occurrence of each key replaced by its value
+const withChanges = (changes) => Object.entries(changes).reduce((xml, [from, to]) => {
+    assert.ok(xml.includes(from), `minimal_wxr.xml has no ${from}`);
+    return xml.replace(from, to);
+}, REFERENCE_WXR);
+
+const messages = (problems) => problems.map(({ post, message }) => (post ? `${post}: ${message}` : message));
+
+test('the reference export is valid', () => {
+    const validation = validateWxr(REFERENCE_WXR);
+    assert.deepEqual(validation.errors, []);
+    assert.deepEqual(validation.warnings, []);
+    assert.equal(validation.valid, true);
+    assert.equal(validation.items, 5);
+});
+
+test('a converted book is valid', async () => {
+    const { book } = await scrapeOpenStax(bookSource([['Atoms']], {
+        contents: { '1-1-atoms': '<p>Text<br>more text</p>' },
+        backMatter: { 'a-units': 'A | Units' }
+    }));
+    const validation = validateWxr(buildPressbooksXML(book));
+    assert.deepEqual(messages(validation.errors), []);
+    assert.equal(validation.valid, true);
+});
+
+test('a namespace declared with another URI is an error', () => {
+    const validation = validateWxr(withChanges({ 'xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"': 'xmlns:excerpt="http://wordpress.org/export/1.1/excerpt/"' }));
+    assert.equal(validation.valid, false);
+    assert.deepEqual(messages(validation.errors), ['Missing namespace declaration xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"']);
+});
+
+test('a post id used twice is an error', () => {
+    const validation = validateWxr(withChanges({ '<wp:post_id>102</wp:post_id>': '<wp:post_id>101</wp:post_id>' }));
+    assert.deepEqual(messages(validation.errors), ['chapter 101 (scientific-method): Post id 101 is used more than once']);
+});
+
+test('a chapter has to be filed under a part', () => {
+    const validation = validateWxr(withChanges({ '<wp:post_parent>200</wp:post_parent>': '<wp:post_parent>101</wp:post_parent>' }));
+    assert.deepEqual(messages(validation.errors), ['chapter 201 (everyday-biology): Parent 101 is a chapter, not a part']);
+});
+
+test('unbalanced post HTML is an error and tags Pressbooks strips are a warning', () => {
+    const validation = validateWxr(withChanges({
+        '<p>Science is a systematic enterprise...</p>': '<p>Science is <em>a systematic enterprise...</p>',
+        '<p>Observation, hypothesis, experiment...</p>': '<p>Observation<input type="checkbox"></p>'
+    }));
+    assert.deepEqual(messages(validation.errors), ['chapter 101 (what-is-science): Content HTML is not well-formed: <em> is closed by </p>']);
+    assert.deepEqual(messages(validation.warnings), ['chapter 102 (scientific-method): Pressbooks would strip <input> (1)']);
+});
+
+test('a post status Pressbooks does not know is an error', () => {
+    const validation = validateWxr(withChanges({ '<wp:status><![CDATA[web-only]]></wp:status>': '<wp:status><![CDATA[published]]></wp:status>' }));
+    assert.equal(validation.valid, false);
+    assert.match(validationError(validation), /chapter 101 \(what-is-science\): Post status "published" is not one of: web-only, publish, private, draft/);
+});
+
+test('a re-sync export may file chapters under parts already in the book', () => {
+    const xml = withChanges({ '<wp:post_parent>200</wp:post_parent>': '<wp:post_parent>300</wp:post_parent>' });
+    assert.deepEqual(messages(validateWxr(xml).errors), ['chapter 201 (everyday-biology): Parent 300 is not in the export']);
+    assert.equal(validateWxr(xml, { existingIds: [300] }).valid, true);
+});
@@ -0,0 +1,211 @@
+import { readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import { STRIPPED_ELEMENTS, WXR_POST_STATUSES } from './converter.js';
+
+// Checks a WXR file before it goes to Pressbooks. minimal_wxr.xml is the reference: every channel, term and
+// item element it has is required, and its namespaces have to be declared. Problems the import would trip over
+// are errors; content Pressbooks would quietly change (stripped tags and attributes) are warnings.
+
+const REFERENCE_WXR = readFileSync(new URL('./minimal_wxr.xml', import.meta.url), 'utf-8');
+
+const POST_TYPES = ['metadata', 'front-matter', 'part', 'chapter', 'back-matter', 'glossary'];
+
+// Tags kses removes from posts saved by anyone without the unfiltered_html capability, on top of the ones
+// the conversion already drops
+const PRESSBOOKS_STRIPPED_TAGS = [...STRIPPED_ELEMENTS, 'applet', 'base', 'button', 'frame', 'frameset', 'input', 'link', 'meta', 'noscript', 'select', 'textarea'];
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const WXR_DATE = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+
+const elementChildren = (element) => [...element.children];
+const childNames = (element) => elementChildren(element).map(child => child.tagName);
+const field = (element, name) => elementChildren(element).find(child => child.tagName === name)?.textContent.trim() ?? null;
+
+// Element names of the reference export: { namespaces, channel, term, item }. Items only require what every
+// reference item has, so the chapter-only category stays optional.
+const referenceShape = (() => {
+    const document = new JSDOM(REFERENCE_WXR, { contentType: 'text/xml' }).window.document;
+    const rss = document.documentElement;
+    const channel = rss.getElementsByTagName('channel')[0];
+    const items = [...channel.getElementsByTagName('item')];
+    return {
+        namespaces: [...rss.attributes].filter(attribute => attribute.name.startsWith('xmlns:')).map(attribute => [attribute.name, attribute.value]),
+        channel: childNames(channel).filter(name => name !== 'item' && name !== 'wp:term'),
+        term: childNames(channel.getElementsByTagName('wp:term')[0]),
+        item: childNames(items[0]).filter(name => items.every(item => childNames(item).includes(name)))
+    };
+})();
+
+const isWxrDate = (value) => {
+    const parts = value?.match(WXR_DATE);
+    if (!parts) return false;
+    const date = new Date(Date.UTC(parts[1], parts[2] - 1, parts[3], parts[4], parts[5], parts[6]));
+    return date.getUTCMonth() === parts[2] - 1 && date.getUTCDate() === Number(parts[3]);
+};
+
+// Unbalanced tags and the tags and attributes Pressbooks would strip, in one pass over the post HTML
+function htmlProblems(html) {
+    const unbalanced = [];
+    const stripped = new Map();
+    const open = [];
+    const tags = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    let match;
+    while ((match = tags.exec(html))) {
+        const [tag, closing, rawName, attributes = ''] = match;
+        if (!rawName) continue;
+        const name = rawName.toLowerCase();
+        if (!closing) {
+            if (PRESSBOOKS_STRIPPED_TAGS.includes(name)) stripped.set(`<${name}>`, (stripped.get(`<${name}>`) || 0) + 1);
+            if (/\son\w+\s*=/i.test(attributes)) stripped.set('on* event attributes', (stripped.get('on* event attributes') || 0) + 1);
+            if (/\s(?:href|src)\s*=\s*["']?\s*javascript:/i.test(attributes)) stripped.set('javascript: URLs', (stripped.get('javascript: URLs') || 0) + 1);
+            if (attributes.trim().endsWith('/') || VOID_ELEMENTS.has(name)) continue;
+            if (RAW_TEXT_ELEMENTS.has(name)) {
+                // Skip to the end of the script or style; what it holds isn't markup
+                const end = html.toLowerCase().indexOf(`</${name}`, tags.lastIndex);
+                if (end === -1) {
+                    unbalanced.push(`<${name}> is never closed`);
+                    break;
+                }
+                tags.lastIndex = end;
+            }
+            open.push(name);
+        } else if (open[open.length - 1] === name) {
+            open.pop();
+        } else if (open.includes(name)) {
+            unbalanced.push(`<${open[open.length - 1]}> is closed by ${tag}`);
+            open.splice(open.lastIndexOf(name));
+        } else if (!VOID_ELEMENTS.has(name)) {
+            unbalanced.push(`${tag} has no opening tag`);
+        }
+    }
+    open.reverse().forEach(name => unbalanced.push(`<${name}> is never closed`));
+    return { unbalanced, stripped: [...stripped].map(([what, count]) => `${what} (${count})`) };
+}
+
+// Validates a WXR export. existingIds lists posts already in the Pressbooks book, which a re-sync export's
+// chapters can have as parents without including them. Returns { valid, items, errors, warnings }, where each
+// problem is { post, message } and post is e.g. 'chapter 12 (what-is-science)', or null for the channel.
+function validateWxr(xml, { existingIds = [] } = {}) {
+    const errors = [];
+    const warnings = [];
+    const result = (items = 0) => ({ valid: !errors.length, items, errors, warnings });
+
+    let document;
+    try {
+        document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+    } catch (error) {
+        errors.push({ post: null, message: `Not well-formed XML: ${error.message}` });
+        return result();
+    }
+    const rss = document.documentElement;
+    if (rss.tagName !== 'rss' || rss.getAttribute('version') !== '2.0') {
+        errors.push({ post: null, message: 'The root element is not <rss version="2.0">' });
+        return result();
+    }
+    referenceShape.namespaces.forEach(([name, uri]) => {
+        if (rss.getAttribute(name) !== uri) errors.push({ post: null, message: `Missing namespace declaration ${name}="${uri}"` });
+    });
+    const channel = elementChildren(rss).find(child => child.tagName === 'channel');
+    if (!channel) {
+        errors.push({ post: null, message: 'Missing <channel>' });
+        return result();
+    }
+    const channelNames = childNames(channel);
+    referenceShape.channel.forEach(name => {
+        if (!channelNames.includes(name)) errors.push({ post: null, message: `Missing channel element <${name}>` });
+    });
+    const wxrVersion = field(channel, 'wp:wxr_version');
+    if (wxrVersion !== null && wxrVersion !== '1.2') {
+        errors.push({ post: null, message: `WXR version is ${wxrVersion}, expected 1.2` });
+    }
+
+    const terms = elementChildren(channel).filter(child => child.tagName === 'wp:term');
+    terms.forEach((term, index) => {
+        const names = childNames(term);
+        referenceShape.term.filter(name => !names.includes(name)).forEach(name => {
+            errors.push({ post: null, message: `Term ${index + 1} is missing <${name}>` });
+        });
+    });
+    const termKeys = new Set(terms.map(term => `${field(term, 'wp:term_taxonomy')}:${field(term, 'wp:term_slug')}`));
+
+    const items = elementChildren(channel).filter(child => child.tagName === 'item').map(element => ({
+        element,
+        id: field(element, 'wp:post_id'),
+        type: field(element, 'wp:post_type'),
+        slug: field(element, 'wp:post_name'),
+        parent: field(element, 'wp:post_parent')
+    }));
+    const typesById = new Map(items.map(item => [Number(item.id), item.type]));
+    const knownIds = new Set([...items.map(item => Number(item.id)), ...[...existingIds].map(Number)]);
+    const seenIds = new Set();
+    const seenSlugs = new Set();
+
+    items.forEach(({ element, id, type, slug, parent }, index) => {
+        const post = `${type || 'item'} ${id || `#${index + 1}`}${slug ? ` (${slug})` : ''}`;
+        const error = (message) => errors.push({ post, message });
+        const warning = (message) => warnings.push({ post, message });
+
+        const names = childNames(element);
+        referenceShape.item.filter(name => !names.includes(name)).forEach(name => error(`Missing <${name}>`));
+
+        if (id !== null) {
+            if (!/^[1-9]\d*$/.test(id)) error(`Post id "${id}" is not a positive whole number`);
+            else if (seenIds.has(id)) error(`Post id ${id} is used more than once`);
+            seenIds.add(id);
+        }
+        if (slug !== null) {
+            if (!slug || slug === 'undefined') error('Empty or undefined post name (slug)');
+            else if (seenSlugs.has(`${type}:${slug}`)) error(`Post name "${slug}" is used by another ${type}`);
+            seenSlugs.add(`${type}:${slug}`);
+        }
+        ['link', 'guid'].forEach(name => {
+            if (/\/undefined(?:\/|$)/.test(field(element, name) || '')) error(`<${name}> is built from an undefined value`);
+        });
+        if (type !== null && !POST_TYPES.includes(type)) warning(`Post type "${type}" is not a Pressbooks post type and won't be imported`);
+
+        const status = field(element, 'wp:status');
+        if (status !== null && !WXR_POST_STATUSES.includes(status)) error(`Post status "${status}" is not one of: ${WXR_POST_STATUSES.join(', ')}`);
+        ['wp:post_date', 'wp:post_date_gmt'].forEach(name => {
+            const value = field(element, name);
+            if (value !== null && !isWxrDate(value)) error(`<${name}> "${value}" is not a YYYY-MM-DD HH:MM:SS date`);
+        });
+        const pubDate = field(element, 'pubDate');
+        if (pubDate !== null && Number.isNaN(Date.parse(pubDate))) error(`<pubDate> "${pubDate}" is not a date`);
+
+        if (parent !== null) {
+            const parentId = Number(parent);
+            if (!/^\d+$/.test(parent)) {
+                error(`Parent "${parent}" is not a post id`);
+            } else if (type === 'chapter' && !parentId) {
+                error('Chapter has no parent part');
+            } else if (parentId && !knownIds.has(parentId)) {
+                error(`Parent ${parentId} is not in the export`);
+            } else if (type === 'chapter' && typesById.has(parentId) && typesById.get(parentId) !== 'part') {
+                error(`Parent ${parentId} is a ${typesById.get(parentId)}, not a part`);
+            }
+        }
+
+        elementChildren(element).filter(child => child.tagName === 'category').forEach(category => {
+            const key = `${category.getAttribute('domain')}:${category.getAttribute('nicename')}`;
+            if (!termKeys.has(key)) warning(`Category ${key} has no <wp:term> in the channel`);
+        });
+
+        const content = elementChildren(element).find(child => child.tagName === 'content:encoded');
+        if (content) {
+            const { unbalanced, stripped } = htmlProblems(content.textContent);
+            unbalanced.forEach(problem => error(`Content HTML is not well-formed: ${problem}`));
+            if (stripped.length) warning(`Pressbooks would strip ${stripped.join(', ')}`);
+        }
+    });
+
+    return result(items.length);
+}
+
+// Failure message for an export that failed validation
+const validationError = (validation) =>
+    `The WXR failed validation with ${validation.errors.length} error(s): ` +
+    validation.errors.slice(0, 5).map(({ post, message }) => (post ? `${post}: ${message}` : message)).join('; ') +
+    (validation.errors.length > 5 ? '; ...' : '');
+
+export { validateWxr, validationError };